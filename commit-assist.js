@@ -1,17 +1,581 @@
 #!/usr/bin/env node
 
-const { exec, execFile } = require("node:child_process");
-const { promisify } = require("node:util");
+const { exec, execFile, spawn } = require("node:child_process");
+const { format, promisify } = require("node:util");
+const crypto = require("node:crypto");
 const { Ollama } = require("ollama");
 const readline = require("node:readline");
 const fs = require("node:fs");
+const os = require("node:os");
 const path = require("node:path");
-const { consola } = require("consola");
+const { createConsola, LogLevels } = require("consola");
+
+// A consola of our own, so the library API can silence or redirect it without
+// touching the host application's consola
+const consola = createConsola();
+const DEFAULT_REPORTERS = consola.options.reporters;
+const DEFAULT_LOG_LEVEL = consola.level;
 
 const execAsync = promisify(exec);
 const execFileAsync = promisify(execFile);
 
 const DEFAULT_OLLAMA_MODEL = "qwen2.5-coder:3b";
+const DEFAULT_MAX_DIFF_CHARS = 20000;
+const DEFAULT_TICKET_PATTERN = "[A-Z]+-\\d+";
+const DEFAULT_CONTEXT_WINDOW = 8192; // tokens
+const DEFAULT_API_KEY_ENV = "OPENAI_API_KEY";
+
+// Provider requests: each attempt gives up after DEFAULT_TIMEOUT seconds
+// (cold-loading a model in Ollama can take a while), and transient failures
+// are retried with exponential backoff and jitter
+const DEFAULT_TIMEOUT = 120;
+const DEFAULT_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+// A longer Retry-After than this fails the request instead of stalling the run
+const RETRY_AFTER_MAX_MS = 60 * 1000;
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504];
+// Network errors that retrying won't fix: nothing listening, or no such host
+const FATAL_NETWORK_ERRORS = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+const MODEL_LIST_TIMEOUT_MS = 15 * 1000;
+
+// Files whose diff is the least useful to the model; they only get diff budget
+// left over after source files
+const GENERATED_FILE_GLOBS = [
+  "*.min.js",
+  "*.min.css",
+  "*.map",
+  "*.snap",
+  "**/__snapshots__/**",
+  "**/dist/**",
+  "**/build/**",
+  "**/vendor/**",
+  "**/generated/**",
+  "*.generated.*",
+  "*.pb.go",
+  "*_pb2.py",
+];
+// Files given a smaller share than this are dropped and listed by stats instead
+const MIN_FILE_DIFF_CHARS = 400;
+// Rough characters-per-token ratio used for context window estimates
+const CHARS_PER_TOKEN = 4;
+// Tokens kept free for the rest of the prompt and the response
+const PROMPT_RESERVE_TOKENS = 1024;
+// Changed lines that look like function, class or type declarations
+const SIGNATURE_REGEX =
+  /^[+-]\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?(?:function\b|class\b|def\b|func\b|fn\b|interface\b|struct\b|enum\b|impl\b|type\s+\w+\s*=|(?:public|private|protected|static)\b.*\(|(?:const|let|var)\s+\w+\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|\w+\s*=>))/;
+
+// Picks the function or class name out of a declaration or hunk header line
+const SYMBOL_NAME_REGEX =
+  /\b(?:function\*?|class|def|func|fn|interface|struct|enum|impl|trait|type)\s+(?:\([^)]*\)\s*)?([A-Za-z_$][\w$]*)|\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=|^\s*(?:(?:public|private|protected|static|async|override|export|default|readonly)\s+)*(?:[\w<>[\],]+\s+)?([A-Za-z_$][\w$]*)\s*\(/;
+// Words SYMBOL_NAME_REGEX can match that aren't names
+const SYMBOL_NAME_KEYWORDS = [
+  "if",
+  "for",
+  "while",
+  "switch",
+  "catch",
+  "return",
+  "function",
+  "new",
+  "await",
+];
+// Most symbols listed per file in {changedSymbols}
+const SYMBOLS_PER_FILE = 10;
+
+// How each `git diff --name-status` letter is described in the prompt
+const FILE_STATUS_NAMES = {
+  A: "added",
+  M: "modified",
+  D: "deleted",
+  R: "renamed",
+  C: "copied",
+  T: "type changed",
+  U: "unmerged",
+};
+
+// Files whose diff is never sent to the AI, as it is likely to hold credentials
+const SENSITIVE_FILE_GLOBS = [
+  ".env",
+  ".env.*",
+  "*.pem",
+  "*.key",
+  "*.p12",
+  "*.pfx",
+  "*.jks",
+  "*.keystore",
+  "id_rsa",
+  "id_dsa",
+  "id_ecdsa",
+  "id_ed25519",
+  ".npmrc",
+  ".netrc",
+  ".pgpass",
+  "*.tfvars",
+];
+
+// Known token formats masked in diffs before they are sent to the AI
+const SECRET_PATTERNS = [
+  {
+    kind: "private key",
+    pattern:
+      /-----BEGIN [A-Z ]*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY(?: BLOCK)?-----/g,
+  },
+  {
+    kind: "AWS access key",
+    pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    kind: "AWS secret key",
+    pattern:
+      /(?<=aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}/gi,
+  },
+  {
+    kind: "GitHub token",
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g,
+  },
+  { kind: "Slack token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  {
+    kind: "Slack webhook",
+    pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/_-]+/g,
+  },
+  {
+    kind: "JWT",
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  },
+  {
+    kind: "hard-coded secret",
+    pattern:
+      /(?<=(?:password|passwd|secret|api_?key|access_?token|auth_?token)["']?\s*[:=]\s*["'])[^"'\s]{8,}(?=["'])/gi,
+  },
+];
+
+// Strings that might be random keys: long runs of base64/URL-safe characters
+// with a Shannon entropy of at least this many bits per character
+const HIGH_ENTROPY_CANDIDATE = /[A-Za-z0-9+/=_-]{20,}/g;
+const HIGH_ENTROPY_THRESHOLD = 4.4;
+
+// Options that can be set in a config file, mapped to their parsed CLI argument names
+const CONFIG_OPTIONS = {
+  provider: "provider",
+  model: "model",
+  conventional: "useAiConventional",
+  type: "conventionalType",
+  body: "body",
+  ticketPattern: "ticketPattern",
+  ticketFormat: "ticketFormat",
+  ticketPosition: "ticketPosition",
+  branchTicket: "branchTicket",
+  promptTemplate: "promptTemplate",
+  maxDiffChars: "maxDiffChars",
+  ignore: "ignore",
+  mapReduce: "mapReduce",
+  contextWindow: "contextWindow",
+  baseUrl: "baseUrl",
+  headers: "headers",
+  apiKeyEnv: "apiKeyEnv",
+  stream: "stream",
+  candidates: "candidates",
+  rules: "rules",
+  validationRetries: "validationRetries",
+  scope: "scope",
+  scopeMap: "scopeMap",
+  multiScope: "multiScope",
+  changelogFormat: "changelogFormat",
+  baseBranch: "baseBranch",
+  prTemplate: "prTemplate",
+  redact: "redact",
+  sensitivePaths: "sensitivePaths",
+  allowRedacted: "allowRedacted",
+  learnStyle: "learnStyle",
+  fallback: "fallback",
+  timeout: "timeout",
+  retries: "retries",
+  cache: "cache",
+};
+
+// Built-in defaults, the lowest precedence layer of the resolved config
+const DEFAULT_CONFIG = {
+  provider: "ollama",
+  model: DEFAULT_OLLAMA_MODEL,
+  ticketPattern: DEFAULT_TICKET_PATTERN,
+  branchTicket: true,
+  maxDiffChars: DEFAULT_MAX_DIFF_CHARS,
+  ignore: [],
+  contextWindow: DEFAULT_CONTEXT_WINDOW,
+  stream: true,
+  candidates: 1,
+  validationRetries: 2,
+  multiScope: "comma",
+  changelogFormat: "markdown",
+  redact: true,
+  sensitivePaths: SENSITIVE_FILE_GLOBS,
+  learnStyle: true,
+  timeout: DEFAULT_TIMEOUT,
+  retries: DEFAULT_RETRIES,
+  cache: true,
+};
+
+const TICKET_POSITIONS = ["prefix", "suffix", "footer"];
+
+// How to scope a change that touches several workspace packages: list them all
+// ("api,web"), use the package with the most changed files, or drop the scope
+const MULTI_SCOPE_POLICIES = ["comma", "primary", "omit"];
+
+const PNPM_WORKSPACE_FILE = "pnpm-workspace.yaml";
+
+// Types from @commitlint/config-conventional
+const CONVENTIONAL_TYPES = [
+  "build",
+  "chore",
+  "ci",
+  "docs",
+  "feat",
+  "fix",
+  "perf",
+  "refactor",
+  "revert",
+  "style",
+  "test",
+];
+
+// Commit message rules, overridden by commitlint config and then by the
+// "rules" config option
+const DEFAULT_RULES = {
+  subjectMaxLength: 72,
+  imperative: true,
+  noTrailingPeriod: true,
+  types: CONVENTIONAL_TYPES,
+  scopes: [], // Any scope is allowed when empty
+  requireTicket: false,
+};
+
+// Files checked for commitlint config, in commitlint's own lookup order
+const COMMITLINT_CONFIG_FILES = [
+  ".commitlintrc",
+  ".commitlintrc.json",
+  ".commitlintrc.yaml",
+  ".commitlintrc.yml",
+  ".commitlintrc.js",
+  ".commitlintrc.cjs",
+  ".commitlintrc.mjs",
+  ".commitlintrc.ts",
+  "commitlint.config.js",
+  "commitlint.config.cjs",
+  "commitlint.config.mjs",
+  "commitlint.config.ts",
+];
+// The ones that can be read: JS configs would run the repository's code, and
+// YAML would need a parser
+const COMMITLINT_JSON_FILES = [".commitlintrc", ".commitlintrc.json"];
+
+// Verbs used to spot third-person subjects ("Adds", "Fixes") that aren't imperative
+const COMMON_VERBS = [
+  "add",
+  "adjust",
+  "allow",
+  "avoid",
+  "bump",
+  "change",
+  "clean",
+  "convert",
+  "correct",
+  "create",
+  "delete",
+  "disable",
+  "document",
+  "drop",
+  "enable",
+  "ensure",
+  "expose",
+  "extract",
+  "fix",
+  "handle",
+  "implement",
+  "improve",
+  "include",
+  "introduce",
+  "make",
+  "merge",
+  "migrate",
+  "move",
+  "optimize",
+  "prevent",
+  "reduce",
+  "refactor",
+  "remove",
+  "rename",
+  "replace",
+  "return",
+  "revert",
+  "set",
+  "show",
+  "simplify",
+  "support",
+  "test",
+  "tweak",
+  "update",
+  "upgrade",
+  "use",
+  "validate",
+];
+// Imperative verbs that happen to end in "ed" or "ing"
+const IMPERATIVE_EXCEPTIONS = [
+  "bring",
+  "embed",
+  "exceed",
+  "feed",
+  "log",
+  "need",
+  "ping",
+  "proceed",
+  "seed",
+  "shred",
+  "speed",
+  "string",
+  "succeed",
+];
+
+const REPO_CONFIG_FILE = ".commit-assist.json";
+const PACKAGE_JSON_CONFIG_KEY = "commit-assist";
+
+// Marker line used to recognise hooks written by commit-assist
+const HOOK_MARKER = "# commit-assist prepare-commit-msg hook";
+// Column at which commit message bodies and footers are wrapped
+const BODY_WRAP_WIDTH = 72;
+// Matches a git trailer / conventional commit footer line, e.g. "Refs: PROJ-1" or "Closes #12".
+// The token is hyphenated ("Signed-off-by"), BREAKING CHANGE or a common
+// one-word issue keyword, so prose such as "Note: ..." isn't taken for one.
+const FOOTER_REGEX =
+  /^(BREAKING[ -]CHANGE|[A-Za-z]+(?:-[A-Za-z]+)+|Refs?|Closes|Fixes|Resolves)(: | #)/;
+
+// Prompt used to summarise a single file's diff in map-reduce mode
+const FILE_SUMMARY_PROMPT = `Summarize the following staged change to {file} in 1-3 short bullet points starting with "- ".
+Focus on what behaviour changed and why, not line-by-line details. Return only the bullet points.
+
+{diff}`;
+
+const SPLIT_PROMPT = `You are an expert software engineer and git specialist. The staged changes below mix several pieces of work. Group the numbered changes into separate commits, each one a single logical change that makes sense on its own.
+
+- Every change number must be in exactly one group. Use as few groups as make sense; one group is fine if the changes belong together.
+- Order the groups so each commit only depends on the ones before it.
+- {conventionalText}
+- {messageShape}
+{userContext}
+Return only a JSON array with no other text, in this form:
+[{"changes": [1, 3], "message": "Add retry logic to the API client"}, {"changes": [2], "message": "Fix typo in README"}]
+
+{changes}`;
+
+// Changelog sections, in the order they're listed: the heading for each
+// conventional type and the Keep a Changelog category it goes under (null
+// leaves it out, as it doesn't affect users). Unknown types go under "other".
+const CHANGELOG_SECTIONS = [
+  { type: "feat", title: "Features", category: "Added" },
+  { type: "fix", title: "Bug Fixes", category: "Fixed" },
+  { type: "perf", title: "Performance Improvements", category: "Changed" },
+  { type: "refactor", title: "Code Refactoring", category: "Changed" },
+  { type: "revert", title: "Reverts", category: "Changed" },
+  { type: "docs", title: "Documentation", category: null },
+  { type: "build", title: "Build System", category: null },
+  { type: "ci", title: "Continuous Integration", category: null },
+  { type: "test", title: "Tests", category: null },
+  { type: "style", title: "Styles", category: null },
+  { type: "chore", title: "Chores", category: null },
+  { type: "other", title: "Other Changes", category: "Changed" },
+];
+
+const KEEP_A_CHANGELOG_CATEGORIES = [
+  "Added",
+  "Changed",
+  "Deprecated",
+  "Removed",
+  "Fixed",
+  "Security",
+];
+
+const CHANGELOG_FORMATS = ["markdown", "keep-a-changelog"];
+
+// Written at the top of a new CHANGELOG.md
+const CHANGELOG_HEADERS = {
+  markdown: "# Changelog\n",
+  "keep-a-changelog": `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/).
+`,
+};
+
+// Prompt used by `changelog --notes` to rewrite one section's commits
+const RELEASE_NOTES_PROMPT = `You are writing the release notes for a software project. Rewrite the commits below, all from the "{section}" section of the changelog, as a short list of human-readable release notes.
+
+- Describe what changed for the people using the project, not how it was implemented.
+- Merge commits that describe the same change into one note, and leave out ones with no visible effect.
+- Keep the bold prefixes, e.g. "**api:**" or "**BREAKING:**", of the commits a note comes from.
+{userContext}
+Return only the notes as a Markdown list, one "- " line each, with no other text.
+
+{commits}`;
+
+// Prompt sections broken out in the --dry-run token estimate, by placeholder.
+// The rest of the prompt counts as instructions.
+const DRY_RUN_SECTIONS = [
+  ["gitDiff", "Diff"],
+  ["gitStagedChanges", "File list"],
+  ["fileChanges", "File changes"],
+  ["changedSymbols", "Changed symbols"],
+  ["gitDiffSummary", "Diff summary"],
+  ["recentCommits", "Recent commits"],
+  ["examples", "Examples"],
+  ["userContext", "User context"],
+];
+
+// Placeholders a custom commit message prompt template must contain. A nested
+// array means any one of its placeholders will do.
+const PROMPT_PLACEHOLDERS = [
+  ["{gitStagedChanges}", "{fileChanges}"],
+  "{gitDiff}",
+  "{userContext}",
+  "{recentCommits}",
+  "{branchName}",
+  "{gitDiffSummary}",
+  "{conventionalText}",
+];
+
+// Placeholders a custom pull request prompt template must contain
+const PR_PROMPT_PLACEHOLDERS = [
+  "{commits}",
+  "{changedFiles}",
+  "{gitDiff}",
+  "{descriptionFormat}",
+];
+
+// Where GitHub looks for a pull request template, relative to the repo root
+const PULL_REQUEST_TEMPLATE_FILES = [
+  ".github/pull_request_template.md",
+  ".github/PULL_REQUEST_TEMPLATE.md",
+  "pull_request_template.md",
+  "PULL_REQUEST_TEMPLATE.md",
+  "docs/pull_request_template.md",
+  "docs/PULL_REQUEST_TEMPLATE.md",
+];
+
+// Description layout used when the repo has no pull request template
+const DEFAULT_PR_DESCRIPTION_FORMAT = `Markdown with these sections:
+   - "## Summary": one or two sentences on what the change does and why.
+   - "## Changes": a bullet list of the notable changes.
+   - "## Testing": how the change was or can be tested.
+   - "## Tickets": the linked tickets, only if there are any.`;
+
+// Commit subjects read to learn the repository's style, the fewest needed to
+// trust the result, and how many of them are used as examples in the prompt
+const STYLE_HISTORY_SIZE = 300;
+const STYLE_MIN_COMMITS = 10;
+const STYLE_EXAMPLE_COUNT = 8;
+// Bump when the cached style data changes shape
+const STYLE_CACHE_VERSION = 1;
+
+// Model responses are cached by prompt in .git/commit-assist/cache.json, and
+// the messages generated, accepted and rejected are kept in history.jsonl
+const RESPONSE_CACHE_VERSION = 1;
+const RESPONSE_CACHE_SIZE = 50;
+const HISTORY_FILE = "history.jsonl";
+// Earlier rejections of the same changes the model is told not to repeat
+const HISTORY_AVOID_COUNT = 10;
+// Entries shown by `commit-assist history` by default
+const HISTORY_LIST_COUNT = 20;
+
+// Commits that say nothing about the house style
+const STYLE_SKIPPED_SUBJECTS =
+  /^(Merge\b|Revert "|fixup!|squash!|amend!|wip\b|Initial commit$)/i;
+
+// Used for {styleText} when the repository's style isn't known
+const DEFAULT_STYLE_TEXT =
+  'Use the **imperative mood** (e.g., "Add feature", NOT "Added feature" or "Adds feature").';
+
+// Exit codes for --print and --json, so scripts can tell failures apart
+const EXIT_NO_STAGED_CHANGES = 2;
+const EXIT_PROVIDER_FAILURE = 3;
+const EXIT_VALIDATION_FAILURE = 4;
+const EXIT_SENSITIVE_CONTENT = 5;
+
+// Give up on generation in hook mode after this long so `git commit` never hangs
+const HOOK_TIMEOUT_MS = 60 * 1000;
+
+// Errors thrown by the library API and the helpers it uses. The CLI reports
+// the message and exits with `exitCode`.
+class CommitAssistError extends Error {
+  constructor(
+    message,
+    { code = "COMMIT_ASSIST_ERROR", exitCode = 1, cause } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.exitCode = exitCode;
+  }
+}
+
+// Invalid options or config files
+class ConfigError extends CommitAssistError {
+  constructor(message, options = {}) {
+    super(message, { code: "CONFIG_ERROR", ...options });
+  }
+}
+
+// Missing or invalid prompt template
+class TemplateError extends CommitAssistError {
+  constructor(message, options = {}) {
+    super(message, { code: "TEMPLATE_ERROR", ...options });
+  }
+}
+
+// Not a git repository, or a git command failed
+class GitError extends CommitAssistError {
+  constructor(message, options = {}) {
+    super(message, { code: "GIT_ERROR", ...options });
+  }
+}
+
+class NoStagedChangesError extends CommitAssistError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: "NO_STAGED_CHANGES",
+      exitCode: EXIT_NO_STAGED_CHANGES,
+      ...options,
+    });
+  }
+}
+
+// The provider failed or returned nothing usable
+class ProviderError extends CommitAssistError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: "PROVIDER_ERROR",
+      exitCode: EXIT_PROVIDER_FAILURE,
+      ...options,
+    });
+  }
+}
+
+// Redacted content would go to a remote provider without being allowed
+class SensitiveContentError extends CommitAssistError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: "SENSITIVE_CONTENT",
+      exitCode: EXIT_SENSITIVE_CONTENT,
+      ...options,
+    });
+  }
+}
+
+// Generation was aborted through its AbortSignal
+class CancelledError extends CommitAssistError {
+  constructor(message, options = {}) {
+    super(message, { code: "CANCELLED", ...options });
+  }
+}
 
 // Create a custom debug logger
 const debugLogger = consola.withTag("DEBUG").withDefaults({
@@ -37,9 +601,10 @@ function debugLog(debug, ...args) {
 function parseArgs() {
   const args = process.argv.slice(2);
 
+  // Defaults are applied later by resolveConfig(), so only options given on the
+  // command line end up here
   const result = {
-    provider: "ollama", // Default provider
-    model: DEFAULT_OLLAMA_MODEL, // Default model
+    positionals: [], // Subcommands and their arguments, e.g. ["hook", "install"]
   };
   for (let i = 0; i < args.length; i++) {
     if (args[i] === "--help" || args[i] === "-h") {
@@ -55,36 +620,143 @@ function parseArgs() {
       result.useAiConventional = true;
     } else if (args[i] === "--no-append-ticket" || args[i] === "-nat") {
       result.noAppendTicket = true;
-      i++;
     } else if (args[i] === "--type" || args[i] === "-t") {
       result.conventionalType = args[i + 1] || "";
       i++; // Skip the next argument as it's the value
     } else if (args[i] === "--ticketid" || args[i] === "-tid") {
       result.ticketID = args[i + 1] || "";
       i++; // Skip the next argument as it's the value
+    } else if (args[i] === "--body" || args[i] === "-b") {
+      result.body = true;
     } else if (args[i] === "--copy" || args[i] === "-c") {
       result.autoCopy = true;
+    } else if (args[i] === "--commit" || args[i] === "-cm") {
+      result.commit = true;
+    } else if (args[i] === "--no-verify") {
+      result.noVerify = true;
+    } else if (args[i] === "--signoff") {
+      result.signoff = true;
+    } else if (args[i] === "--amend") {
+      result.amend = true;
     } else if (args[i] === "--api-key" || args[i] === "-k") {
       result.apiKey = args[i + 1] || "";
       i++;
     } else if (args[i] === "--model" || args[i] === "-m") {
       result.model = args[i + 1] || "";
       i++;
+    } else if (args[i] === "--base-url") {
+      result.baseUrl = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--header") {
+      const header = args[i + 1] || "";
+      const separator = header.indexOf(":");
+      if (separator > 0) {
+        result.headers = {
+          ...result.headers,
+          [header.slice(0, separator).trim()]: header
+            .slice(separator + 1)
+            .trim(),
+        };
+      }
+      i++;
+    } else if (args[i] === "--api-key-env") {
+      result.apiKeyEnv = args[i + 1] || "";
+      i++;
     } else if (args[i] === "--prompt-template" || args[i] === "-pt") {
       result.promptTemplate = args[i + 1] || "";
       i++; // Skip the next argument as it's the value
+    } else if (args[i] === "--ticket-pattern") {
+      result.ticketPattern = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--ticket-format") {
+      result.ticketFormat = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--ticket-position") {
+      result.ticketPosition = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--scope") {
+      result.scope = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--multi-scope") {
+      result.multiScope = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--no-branch-ticket") {
+      result.branchTicket = false;
+    } else if (args[i] === "--max-diff-chars") {
+      result.maxDiffChars = Number(args[i + 1]);
+      i++;
+    } else if (args[i] === "--timeout") {
+      result.timeout = Number(args[i + 1]);
+      i++;
+    } else if (args[i] === "--retries") {
+      result.retries = Number(args[i + 1]);
+      i++;
+    } else if (args[i] === "--validation-retries") {
+      result.validationRetries = Number(args[i + 1]);
+      i++;
+    } else if (args[i] === "--candidates") {
+      result.candidates = Number(args[i + 1]);
+      i++;
+    } else if (args[i] === "--no-redact") {
+      result.redact = false;
+    } else if (args[i] === "--allow-redacted") {
+      result.allowRedacted = true;
+    } else if (args[i] === "--fallback") {
+      result.fallback = [...(result.fallback || []), args[i + 1] || ""];
+      i++;
+    } else if (args[i] === "--no-learn-style") {
+      result.learnStyle = false;
+    } else if (args[i] === "--no-stream") {
+      result.stream = false;
+    } else if (args[i] === "--map-reduce") {
+      result.mapReduce = true;
+    } else if (args[i] === "--context-window") {
+      result.contextWindow = Number(args[i + 1]);
+      i++;
+    } else if (args[i] === "--print") {
+      result.print = true;
+    } else if (args[i] === "--json") {
+      result.json = true;
+    } else if (args[i] === "--rev") {
+      result.rev = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--range") {
+      result.range = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--apply") {
+      result.apply = true;
+    } else if (args[i] === "--format") {
+      result.changelogFormat = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--release") {
+      result.release = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--no-cache") {
+      result.cache = false;
+    } else if (args[i] === "--dry-run") {
+      result.dryRun = true;
+    } else if (args[i] === "--output" || args[i] === "-o") {
+      result.output = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--base") {
+      result.baseBranch = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--pr-template") {
+      result.prTemplate = args[i + 1] || "";
+      i++;
+    } else if (args[i] === "--notes") {
+      result.notes = true;
+    } else if (args[i] === "--hunks") {
+      result.hunks = true;
+    } else if (args[i] === "--force") {
+      result.force = true;
     } else if (args[i] === "--debug") {
       result.debug = true;
+    } else if (!args[i].startsWith("-")) {
+      result.positionals.push(args[i]);
     }
   }
 
-  // Auto-detect OpenRouter if env var is present and provider not explicitly set
-  if (!result.apiKey && process.env.OPENROUTER_API_KEY) {
-    result.apiKey = process.env.OPENROUTER_API_KEY;
-    // If user didn't specify a provider but has the key, we could default to openrouter
-    // But let's keep it explicit or check if they changed the provider
-  }
-
   return result;
 }
 
@@ -92,588 +764,5782 @@ function parseArgs() {
 function showHelp() {
   consola.box(`
 Usage: commit-assist [options]
+       commit-assist hook <install|uninstall|status> [--force]
+       commit-assist config show
+       commit-assist split [--hunks]
+       commit-assist --rev <commit> | --range <A..B> [--apply [--force]]
+       commit-assist changelog [<from>..<to>] [--format <format>] [--notes] [-o <file>]
+       commit-assist pr [--base <branch>] [--json]
+       commit-assist models [<provider> | pull <model>]
+       commit-assist history [<count> | clear] [--json]
 
 Generate AI-powered commit messages for your staged git changes.
 
+Commands:
+  hook install                        Install a prepare-commit-msg git hook
+  hook uninstall                      Remove the commit-assist git hook
+  hook status                         Show whether the git hook is installed
+  config show                         Show the resolved config and where each value came from
+  split                               Split the staged changes into several commits
+  changelog [<from>..<to>]            Write a changelog of the commits since the last tag (or in a range)
+  pr                                  Write a pull request title and description for the current branch
+  models [<provider>]                 List the models available from each provider
+  models pull [<model>]               Pull an Ollama model
+  history [<count>]                   Show the messages generated, accepted and rejected in this repo
+  history clear                       Delete the history and the cached responses
+
 Options:
   -h, --help                          Show this help message
-  -p, --provider <name>               AI provider: ollama or openrouter
+  -p, --provider <name>               AI provider: ollama, openrouter or openai-compatible
   -ctx, --context <text>              Additional context for commit message
   -cf, --conventional-format          Tell AI to use conventional commit format
-  -t, --type <type>                   Custom conventional commit type
-  -tid, --ticketid <ticket>           Ticket id/number to append
-  -c, --copy                          Automatically copy to clipboard (no prompt)
-  -k, --api-key <key>                 API key for OpenRouter (or set OPENROUTER_API_KEY)
-  -m, --model <model>                 Specify Ollama model to use
+  -t, --type <type>                   Custom conventional commit type, e.g. fix or "fix(api)"
+  --scope <scope>                     Conventional commit scope (empty string for none)
+  --multi-scope <policy>              Scope for changes across packages: comma, primary or omit
+  -tid, --ticketid <ticket>           Ticket id/number to append (default: taken from the branch name)
+  -nat, --no-append-ticket            Don't add the ticket id to the message
+  -b, --body                          Generate a full message with body and footers
+  --candidates <n>                    Generate n candidate messages and pick one
+  --validation-retries <n>            Times to ask the AI to fix rule violations (default: 2)
+  --timeout <seconds>                 Give up on a model request after this long (default: 120)
+  --retries <n>                       Times to retry timeouts, rate limits and server errors (default: 3)
+  -c, --copy                          Accept without prompting (copy, or commit with --commit)
+  --print                             Print the message to stdout without prompting (default when stdin isn't a terminal)
+  --json                              Print the message and details as JSON without prompting
+  -cm, --commit                       Run git commit with the accepted message
+  --no-verify                         Pass --no-verify to git commit (skip hooks)
+  --signoff                           Pass --signoff to git commit
+  --amend                             Pass --amend to git commit
+  --force                             Overwrite an existing hook on install, or reword pushed/merge commits
+  --hunks                             With split, group individual hunks instead of whole files
+  --rev <commit>                      Suggest a new message for an existing commit
+  --range <A..B>                      Suggest new messages for each commit in a range
+  --apply                             With --rev/--range, reword the commits with a rebase
+  --format <format>                   Changelog format: markdown (default) or keep-a-changelog
+  --release <version>                 Changelog heading (default: the tag at <to>, or Unreleased)
+  --notes                             Have the AI write release notes for each changelog section
+  --dry-run                           Print the prompt with token estimates instead of generating
+  --no-cache                          Always ask the model, even for changes it has seen before
+  -o, --output <file>                 Add the changelog to the top of a file, e.g. CHANGELOG.md,
+                                      or write the --dry-run prompt to a file
+  --base <branch>                     Base branch for pr (default: origin's default branch, main or master)
+  --pr-template <path>                Path to a custom pull request prompt template
+  -k, --api-key <key>                 API key (or set OPENROUTER_API_KEY / --api-key-env)
+  -m, --model <model>                 Specify the model to use
+  --fallback <provider[:model]>       Provider to try when the previous one fails (repeatable)
+  --base-url <url>                    Base URL for openai-compatible, e.g. http://localhost:8080/v1
+  --header <"Name: value">            Extra request header for openai-compatible (repeatable)
+  --api-key-env <name>                Env var holding the openai-compatible API key (default: OPENAI_API_KEY)
   -pt, --prompt-template <path>       Path to custom prompt template markdown file
+  --ticket-pattern <regex>            Regex matching ticket IDs (default: [A-Z]+-\\d+)
+  --ticket-format <template>          How the ticket is written, e.g. "[#{ticket}]" (default: "({ticket})")
+  --ticket-position <position>        Where the ticket goes: prefix, suffix or footer
+  --no-branch-ticket                  Don't infer the ticket id from the branch name
+  --max-diff-chars <n>                Maximum diff characters sent to the AI (default: 20000)
+  --map-reduce                        Summarise each file with the AI first when the diff
+                                      doesn't fit the model's context window
+  --context-window <tokens>           Model context window size (default: 8192)
+  --no-stream                         Don't show the model output as it is generated
+  --no-redact                         Send diffs without skipping sensitive files or masking secrets
+  --no-learn-style                    Don't learn the commit style and examples from the repo's history
+  --allow-redacted                    Send redacted diffs to remote providers without asking
+
+Config files (command line > repo > user > defaults):
+  Repo: .commit-assist.json or a "commit-assist" key in package.json
+  User: $XDG_CONFIG_HOME/commit-assist/config.json (~/.config by default)
 
 Examples:
   commit-assist
   commit-assist -p openrouter -m "openai/gpt-4o-mini" -k "$OPENROUTER_API_KEY"
+  commit-assist -p openai-compatible --base-url http://localhost:8080/v1 -m local
+  commit-assist --fallback "openrouter:openai/gpt-4o-mini"
   commit-assist -ctx "fix login bug"
   commit-assist -cf -tid "PROJ-123"
+  commit-assist -b -cf -tid "PROJ-123"
+  commit-assist --candidates 3
   commit-assist -t "fix" -ctx "authentication issue"
   commit-assist -m "codellama:latest" -c
+  commit-assist --commit --signoff
+  commit-assist hook install
+  commit-assist changelog v1.2.0..HEAD --release v1.3.0 -o CHANGELOG.md
+  commit-assist pr --base develop
   commit-assist -pt ./my-custom-prompt.md
 `);
 }
 
-// Fetch recent commit messages
-async function getRecentCommits(debug) {
+// Path of the user-level config file
+function getUserConfigPath() {
+  const configHome =
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(configHome, "commit-assist", "config.json");
+}
+
+// Helper function to read and parse a JSON file, throwing a ConfigError on invalid JSON
+function readJsonFile(filePath) {
   try {
-    const maxBuffer = 1024 * 1024; // 1 MB
-    const { stdout } = await execAsync("git log -n 3 --oneline", {
-      maxBuffer,
-    });
-    return stdout.trim();
-  } catch (err) {
-    debugLog(debug, "Error in getRecentCommits:", err);
-    return "";
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    throw new ConfigError(
+      `Could not read config file ${filePath}: ${e.message}`,
+      {
+        cause: e,
+      }
+    );
   }
 }
 
-// Fetch current branch name
-async function getBranchName(debug) {
-  try {
-    const maxBuffer = 1024 * 1024; // 1 MB
-    const { stdout } = await execAsync("git rev-parse --abbrev-ref HEAD", {
-      maxBuffer,
+// Helper function to validate a config object and convert it to argument names.
+// Relative prompt template paths are resolved against the config file's directory.
+function normalizeConfig(config, filePath) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new ConfigError(`Config in ${filePath} must be a JSON object.`);
+  }
+
+  const values = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (!(key in CONFIG_OPTIONS)) {
+      consola.warn(`Unknown option "${key}" in ${filePath}, ignoring it.`);
+      continue;
+    }
+    if (
+      key === "headers" &&
+      (!value || typeof value !== "object" || Array.isArray(value))
+    ) {
+      throw new ConfigError(
+        `"headers" in ${filePath} must be an object of header names to values.`
+      );
+    }
+    if (
+      key === "rules" &&
+      (!value || typeof value !== "object" || Array.isArray(value))
+    ) {
+      throw new ConfigError(`"rules" in ${filePath} must be an object.`);
+    }
+    if (
+      ["validationRetries", "retries"].includes(key) &&
+      !(Number.isInteger(value) && value >= 0)
+    ) {
+      throw new ConfigError(
+        `"${key}" in ${filePath} must be a non-negative integer.`
+      );
+    }
+    if (
+      key === "scopeMap" &&
+      (!value || typeof value !== "object" || Array.isArray(value))
+    ) {
+      throw new ConfigError(
+        `"scopeMap" in ${filePath} must be an object of path globs to scopes.`
+      );
+    }
+    if (
+      key === "fallback" &&
+      !(
+        Array.isArray(value) &&
+        value.every(
+          (entry) =>
+            typeof entry === "string" ||
+            (entry && typeof entry === "object" && entry.provider)
+        )
+      )
+    ) {
+      throw new ConfigError(
+        `"fallback" in ${filePath} must be an array of provider names or { "provider", "model", ... } objects.`
+      );
+    }
+    if (["ignore", "sensitivePaths"].includes(key) && !Array.isArray(value)) {
+      throw new ConfigError(
+        `"${key}" in ${filePath} must be an array of glob patterns.`
+      );
+    }
+    if (
+      ["maxDiffChars", "contextWindow", "candidates"].includes(key) &&
+      !(Number.isInteger(value) && value > 0)
+    ) {
+      throw new ConfigError(
+        `"${key}" in ${filePath} must be a positive integer.`
+      );
+    }
+    values[CONFIG_OPTIONS[key]] =
+      ["promptTemplate", "prTemplate"].includes(key) &&
+      value &&
+      !path.isAbsolute(value)
+        ? path.resolve(path.dirname(filePath), value)
+        : value;
+  }
+  return values;
+}
+
+// Create the default git runner: runs git with the given arguments in `cwd`
+// (the current directory when not given) and resolves with its stdout. The
+// library API accepts any function with the same signature instead.
+function createGitRunner(cwd) {
+  return async (gitArgs) => {
+    const { stdout } = await execFileAsync("git", gitArgs, {
+      cwd,
+      maxBuffer: 50 * 1024 * 1024,
     });
+    return stdout;
+  };
+}
+
+// Fetch the repository root, or "" when not inside a git repo
+async function getRepoRoot(git, debug) {
+  try {
+    const stdout = await git(["rev-parse", "--show-toplevel"]);
     return stdout.trim();
   } catch (err) {
-    debugLog(debug, "Error in getBranchName:", err);
+    debugLog(debug, "Error in getRepoRoot:", err);
     return "";
   }
 }
 
-// Summarize the diff by listing changed files
-function summarizeDiff(gitDiff) {
-  const fileMatches = [...gitDiff.matchAll(/^diff --git a\/(.+?) b\/.+$/gm)];
-  const files = fileMatches.map((match) => match[1]);
-  return files.length
-    ? `Files changed: ${files.join(", ")}`
-    : "No files changed";
-}
+// Load the repo-level config from .commit-assist.json, falling back to the
+// "commit-assist" key in package.json. Returns null when neither exists.
+function loadRepoConfig(repoRoot) {
+  if (!repoRoot) {
+    return null;
+  }
 
-// Helper function to validate prompt template
-function validatePromptTemplate(template) {
-  const requiredPlaceholders = [
-    "{gitStagedChanges}",
-    "{gitDiff}",
-    "{userContext}",
-    "{recentCommits}",
-    "{branchName}",
-    "{gitDiffSummary}",
-    "{conventionalText}",
-  ];
-  const missingPlaceholders = requiredPlaceholders.filter(
-    (placeholder) => !template.includes(placeholder)
-  );
+  const configPath = path.join(repoRoot, REPO_CONFIG_FILE);
+  if (fs.existsSync(configPath)) {
+    return {
+      source: configPath,
+      values: normalizeConfig(readJsonFile(configPath), configPath),
+    };
+  }
 
-  if (missingPlaceholders.length > 0) {
-    consola.error(
-      `Invalid prompt template. Missing required placeholders: ${missingPlaceholders.join(
-        ", "
-      )}`
-    );
-    consola.error(
-      "Required placeholders: {gitStagedChanges}, {gitDiff}, {userContext}, {recentCommits}, {branchName}, {gitDiffSummary}, {conventionalText}"
-    );
-    process.exit(1);
+  const packagePath = path.join(repoRoot, "package.json");
+  if (fs.existsSync(packagePath)) {
+    const pkg = readJsonFile(packagePath);
+    if (pkg[PACKAGE_JSON_CONFIG_KEY] !== undefined) {
+      return {
+        source: `${packagePath} ("${PACKAGE_JSON_CONFIG_KEY}" key)`,
+        values: normalizeConfig(pkg[PACKAGE_JSON_CONFIG_KEY], packagePath),
+      };
+    }
   }
 
-  return true;
+  return null;
 }
 
-// Helper function to apply custom conventional type
-function applyCustomConventionalType(message, customType) {
-  if (!customType) {
-    return message;
+// Load the user-level config. Returns null when it doesn't exist.
+function loadUserConfig() {
+  const configPath = getUserConfigPath();
+  if (!fs.existsSync(configPath)) {
+    return null;
   }
+  return {
+    source: configPath,
+    values: normalizeConfig(readJsonFile(configPath), configPath),
+  };
+}
 
-  // If custom type is empty, use default conventional behavior
-  if (customType.trim() === "") {
-    return message;
-  }
+// Merge defaults, user config, repo config and CLI arguments (in increasing
+// precedence). The source of each option is recorded in `configSources`. With
+// `readConfig: false`, config files and commitlint rules are not read.
+async function resolveConfig(
+  cliArgs,
+  git = createGitRunner(),
+  { readConfig = true, source = "command line" } = {}
+) {
+  const repoRoot = readConfig ? await getRepoRoot(git, cliArgs.debug) : "";
+  const layers = [
+    { source: "default", values: normalizeConfig(DEFAULT_CONFIG, "defaults") },
+    readConfig && loadUserConfig(),
+    loadRepoConfig(repoRoot),
+    { source, values: cliArgs },
+  ].filter(Boolean);
 
-  // Remove any existing conventional commit type and scope using regex
-  // This matches patterns like "feat:", "fix(scope):", "docs(api):", etc.
-  const conventionalRegex = /^[a-z]+(\([^)]*\))?\s*:\s*/i;
+  const resolved = {};
+  const configSources = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.values)) {
+      if (value === undefined) {
+        continue;
+      }
+      resolved[key] = value;
+      configSources[key] = layer.source;
+    }
+  }
+  resolved.configSources = configSources;
+  resolved.rules = {
+    ...DEFAULT_RULES,
+    ...loadCommitlintRules(repoRoot, cliArgs.debug),
+    ...resolved.rules,
+  };
+  for (const [key, flag] of [
+    ["validationRetries", "--validation-retries"],
+    ["retries", "--retries"],
+  ]) {
+    if (!(Number.isInteger(resolved[key]) && resolved[key] >= 0)) {
+      throw new ConfigError(`${flag} must be a non-negative integer.`);
+    }
+  }
 
-  if (conventionalRegex.test(message)) {
-    // Replace existing conventional format with custom type
-    return message.replace(conventionalRegex, `${customType}: `);
-  } else {
-    // Prepend custom type to message that doesn't have conventional format
-    return `${customType}: ${message}`;
+  // The library API also accepts a provider object instead of a name
+  if (
+    typeof resolved.provider !== "object" &&
+    !providers.has(resolved.provider)
+  ) {
+    throw new ConfigError(
+      `Unknown provider "${resolved.provider}". Available providers: ${[
+        ...providers.keys(),
+      ].join(", ")}`
+    );
+  }
+  for (const entry of resolved.fallback || []) {
+    const { provider } = parseFallbackEntry(entry);
+    if (!providers.has(provider)) {
+      throw new ConfigError(
+        `Unknown fallback provider "${provider}". Available providers: ${[
+          ...providers.keys(),
+        ].join(", ")}`
+      );
+    }
+  }
+  for (const [key, flag] of [
+    ["maxDiffChars", "--max-diff-chars"],
+    ["contextWindow", "--context-window"],
+    ["candidates", "--candidates"],
+    ["timeout", "--timeout"],
+  ]) {
+    if (!(Number.isInteger(resolved[key]) && resolved[key] > 0)) {
+      throw new ConfigError(`${flag} must be a positive integer.`);
+    }
+  }
+  try {
+    new RegExp(resolved.ticketPattern);
+  } catch (e) {
+    throw new ConfigError(`Invalid ticket pattern: ${e.message}`);
+  }
+  if (!MULTI_SCOPE_POLICIES.includes(resolved.multiScope)) {
+    throw new ConfigError(
+      `Invalid multi-scope policy "${
+        resolved.multiScope
+      }". Use ${MULTI_SCOPE_POLICIES.join(", ")}.`
+    );
+  }
+  if (!CHANGELOG_FORMATS.includes(resolved.changelogFormat)) {
+    throw new ConfigError(
+      `Invalid changelog format "${
+        resolved.changelogFormat
+      }". Use ${CHANGELOG_FORMATS.join(", ")}.`
+    );
   }
+  if (
+    resolved.ticketPosition !== undefined &&
+    !TICKET_POSITIONS.includes(resolved.ticketPosition)
+  ) {
+    throw new ConfigError(
+      `Invalid ticket position "${
+        resolved.ticketPosition
+      }". Use ${TICKET_POSITIONS.join(", ")}.`
+    );
+  }
+
+  debugLog(cliArgs.debug, "Resolved config:", JSON.stringify(resolved));
+  return resolved;
 }
 
-// Helper function to format final commit message with ticket
-function formatCommitMessage(message, ticketID) {
-  if (!ticketID) {
-    return message;
+// Print the resolved config options and where each value came from
+function showConfig(args) {
+  const lines = Object.entries(CONFIG_OPTIONS).map(([key, argName]) => {
+    const value = args[argName];
+    const source = args.configSources[argName] || "not set";
+    return `${key}: ${
+      value === undefined ? "-" : JSON.stringify(value)
+    }  (${source})`;
+  });
+  consola.box(`Resolved config\n\n${lines.join("\n")}`);
+  consola.info(`User config file: ${getUserConfigPath()}`);
+}
+
+// Helper function to convert the supported subset of commitlint rules
+// ([level, "always" | "never", value]) to commit-assist rules. Rules at level 0
+// are disabled.
+function convertCommitlintRules(config) {
+  const rules = {};
+  const extendsList = [].concat(config.extends || []);
+  if (extendsList.some((name) => name.includes("config-conventional"))) {
+    rules.subjectMaxLength = 100;
+    rules.types = CONVENTIONAL_TYPES;
   }
 
-  // Remove any existing ticket references to avoid duplication
-  const cleanMessage = message.replace(/\s*\([A-Z]+-\d+\)\s*$/, "");
+  const commitlintRules = config.rules || {};
+  const get = (name) => {
+    const rule = commitlintRules[name];
+    return Array.isArray(rule) && rule[0] > 0 ? rule : null;
+  };
 
-  return `${cleanMessage} (${ticketID})`;
+  const headerMaxLength = get("header-max-length");
+  if (headerMaxLength && headerMaxLength[1] === "always") {
+    rules.subjectMaxLength = headerMaxLength[2];
+  }
+  if (commitlintRules["header-max-length"] && !headerMaxLength) {
+    rules.subjectMaxLength = 0;
+  }
+  if (commitlintRules["subject-full-stop"]) {
+    const fullStop = get("subject-full-stop");
+    rules.noTrailingPeriod = Boolean(fullStop) && fullStop[1] === "never";
+  }
+  const typeEnum = get("type-enum");
+  if (typeEnum && typeEnum[1] === "always") {
+    rules.types = typeEnum[2];
+  }
+  const scopeEnum = get("scope-enum");
+  if (scopeEnum && scopeEnum[1] === "always") {
+    rules.scopes = scopeEnum[2];
+  }
+  const referencesEmpty = get("references-empty");
+  if (referencesEmpty) {
+    rules.requireTicket = referencesEmpty[1] === "never";
+  }
+  return rules;
 }
 
-// Helper function to get git status and smart diff
-async function getGitData(debug) {
-  try {
-    const maxBuffer = 10 * 1024 * 1024; // 10 MB
+// Load the commitlint config at the repo root, if any. Only JSON configs are
+// read; other formats are reported and skipped.
+function loadCommitlintRules(repoRoot, debug) {
+  if (!repoRoot) {
+    return {};
+  }
 
-    // Check if repo exists
+  for (const fileName of COMMITLINT_CONFIG_FILES) {
+    const filePath = path.join(repoRoot, fileName);
+    if (!fs.existsSync(filePath)) {
+      continue;
+    }
+    if (!COMMITLINT_JSON_FILES.includes(fileName)) {
+      consola.warn(
+        `The commitlint rules in ${fileName} aren't checked: only JSON commitlint configs are read (.commitlintrc.json or "commitlint" in package.json). Set "rules" in a commit-assist config instead.`
+      );
+      return {};
+    }
     try {
-      await execAsync("git rev-parse --is-inside-work-tree", { maxBuffer });
+      const config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      debugLog(debug, `Using commitlint rules from ${filePath}`);
+      return convertCommitlintRules(config);
     } catch (err) {
-      consola.error(
-        "Not a git repository. Please run this script inside a git repo."
+      debugLog(debug, `Could not load commitlint config ${filePath}:`, err);
+      // A .commitlintrc may hold YAML
+      consola.warn(
+        `The commitlint rules in ${fileName} aren't checked: it isn't valid JSON, and YAML commitlint configs aren't supported.`
       );
-      process.exit(1);
+      return {};
     }
+  }
 
-    // Get Staged Files Names
-    const { stdout: statusOutput } = await execAsync(
-      "git diff --cached --name-only",
-      { maxBuffer }
-    );
-    const stagedFiles = statusOutput.trim().split("\n").filter(Boolean);
-
-    if (stagedFiles.length === 0) {
-      return { gitStagedChanges: "", gitDiff: "", hasStaged: false };
+  const packagePath = path.join(repoRoot, "package.json");
+  if (fs.existsSync(packagePath)) {
+    const pkg = readJsonFile(packagePath);
+    if (pkg.commitlint) {
+      return convertCommitlintRules(pkg.commitlint);
     }
+  }
+  return {};
+}
 
-    // Filter out lockfiles from the content diff to save tokens/memory
-    const filesToDiff = stagedFiles.filter(
-      (f) =>
-        !f.match(/(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock)/)
-    );
-
-    let gitDiff = "";
-    if (filesToDiff.length > 0) {
-      // Limit diff to specific files that aren't lockfiles
-      const { stdout } = await execFileAsync(
-        "git",
-        ["diff", "--cached", "--", ...filesToDiff],
-        { maxBuffer }
-      );
-      gitDiff = stdout.trim();
-    } else {
-      gitDiff = "(Lockfiles only changed - diff suppressed to save tokens)";
-    }
+// Helper function to check whether a word reads as an imperative verb
+function isImperative(word) {
+  const lower = word.toLowerCase();
+  if (IMPERATIVE_EXCEPTIONS.includes(lower) || COMMON_VERBS.includes(lower)) {
+    return true;
+  }
+  if (/(ed|ing)$/.test(lower)) {
+    return false;
+  }
+  // Third person: "adds", "fixes", "updates"
+  const isThirdPerson =
+    (lower.endsWith("es") && COMMON_VERBS.includes(lower.slice(0, -2))) ||
+    (lower.endsWith("s") && COMMON_VERBS.includes(lower.slice(0, -1)));
+  return !isThirdPerson;
+}
 
-    // Hard limit on diff characters (approx 20k chars) to prevent context overflow
-    if (gitDiff.length > 20000) {
-      gitDiff = gitDiff.slice(0, 20000) + "\n... (Diff truncated due to size)";
+// Check a formatted commit message against the rules. Returns a list of
+// human-readable violations (empty when the message passes).
+function validateCommitMessage(
+  message,
+  rules,
+  useConventional = false,
+  ticketPattern = DEFAULT_TICKET_PATTERN
+) {
+  const violations = [];
+  const [header] = message.split("\n");
+  const conventionalMatch = header.match(/^(\w+)(?:\(([^)]*)\))?!?:\s*(.*)$/);
+  const description = conventionalMatch ? conventionalMatch[3] : header;
+
+  if (rules.subjectMaxLength > 0 && header.length > rules.subjectMaxLength) {
+    violations.push(
+      `Subject is ${header.length} characters, the limit is ${rules.subjectMaxLength} (any ticket reference counts towards it)`
+    );
+  }
+  if (rules.noTrailingPeriod && /\.\s*$/.test(description)) {
+    violations.push("Subject must not end with a period");
+  }
+  const firstWord = (description.match(/^[A-Za-z]+/) || [""])[0];
+  if (rules.imperative && firstWord && !isImperative(firstWord)) {
+    violations.push(
+      `Subject should use the imperative mood ("${firstWord}" reads as past tense or third person, e.g. use "Add" not "Added"/"Adds")`
+    );
+  }
+  if (useConventional) {
+    if (!conventionalMatch) {
+      violations.push(
+        'Subject must start with a conventional commit type, e.g. "feat: "'
+      );
+    } else {
+      const [, type, scope] = conventionalMatch;
+      if (rules.types.length > 0 && !rules.types.includes(type)) {
+        violations.push(
+          `Type "${type}" is not allowed. Use one of: ${rules.types.join(", ")}`
+        );
+      }
+      if (scope && rules.scopes.length > 0) {
+        const badScopes = scope
+          .split(/[,/]/)
+          .map((part) => part.trim())
+          .filter((part) => !rules.scopes.includes(part));
+        if (badScopes.length > 0) {
+          violations.push(
+            `Scope "${badScopes.join(
+              ", "
+            )}" is not allowed. Use one of: ${rules.scopes.join(", ")}`
+          );
+        }
+      }
+    }
+  }
+  const hasTicket =
+    new RegExp(ticketPattern).test(message) || /#\d+/.test(message);
+  if (rules.requireTicket && !hasTicket) {
+    violations.push("A ticket reference is required");
+  }
+
+  return violations;
+}
+
+// Send rule violations back to the model as feedback turns until the message
+// passes or the retries run out. Resolves with the best message so far, or
+// rejects when `options.signal` aborts. `options.beforeFix(signal)` is awaited
+// before the first fix is asked for.
+async function enforceCommitRules(
+  message,
+  conversation,
+  args,
+  useConventional,
+  options = {}
+) {
+  const { signal = null, beforeFix } = options;
+  let current = message;
+
+  for (let attempt = 1; attempt <= args.validationRetries; attempt++) {
+    signal?.throwIfAborted();
+    const violations = validateCommitMessage(
+      cleanAndFormatMessage(current, args),
+      args.rules,
+      useConventional,
+      args.ticketPattern
+    );
+    if (violations.length === 0) {
+      break;
+    }
+
+    consola.info(
+      `Message breaks ${violations.length} rule(s), asking the AI to fix it (attempt ${attempt}/${args.validationRetries})...`
+    );
+    debugLog(args.debug, "Rule violations:", violations.join("; "));
+    try {
+      if (attempt === 1) {
+        await beforeFix?.(signal);
+      }
+      current = await refineCommitMessage(
+        conversation,
+        `it breaks these rules:\n${violations
+          .map((violation) => `- ${violation}`)
+          .join("\n")}`,
+        args,
+        signal
+      );
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      consola.error("Error fixing rule violations:", error.message);
+      break;
+    }
+  }
+
+  return current;
+}
+
+// Helper function to show any rule violations left in the message
+function reportViolations(message, args, useConventional) {
+  const violations = validateCommitMessage(
+    message,
+    args.rules,
+    useConventional,
+    args.ticketPattern
+  );
+  if (violations.length > 0) {
+    consola.warn(
+      `Rule violations:\n${violations
+        .map((violation) => `  - ${violation}`)
+        .join("\n")}`
+    );
+  }
+}
+
+// Fetch recent commit messages, or the ones before `rev` when rewording it
+async function getRecentCommits(git, debug, rev) {
+  try {
+    const stdout = await git([
+      "log",
+      "-n",
+      "3",
+      "--oneline",
+      ...(rev ? [`${rev}~1`] : []),
+    ]);
+    return stdout.trim();
+  } catch (err) {
+    debugLog(debug, "Error in getRecentCommits:", err);
+    return "";
+  }
+}
+
+// Fetch current branch name
+async function getBranchName(git, debug) {
+  try {
+    const stdout = await git(["rev-parse", "--abbrev-ref", "HEAD"]);
+    return stdout.trim();
+  } catch (err) {
+    debugLog(debug, "Error in getBranchName:", err);
+    return "";
+  }
+}
+
+// Summarize the diff by counting the files of each status and the changed
+// lines, e.g. "3 files changed (2 modified, 1 added), +40 -12 lines". Without
+// per-file data, just the files named in `rawDiff` are listed.
+function summarizeDiff(files, rawDiff = "") {
+  if (!files) {
+    const names = [...rawDiff.matchAll(/^diff --git a\/(.+?) b\/.+$/gm)].map(
+      (match) => match[1]
+    );
+    return names.length
+      ? `Files changed: ${names.join(", ")}`
+      : "No files changed";
+  }
+  if (files.length === 0) {
+    return "No files changed";
+  }
+  const statuses = countByFrequency(
+    files.map((entry) => FILE_STATUS_NAMES[entry.status] || entry.status)
+  );
+  const added = files.reduce((sum, entry) => sum + entry.added, 0);
+  const deleted = files.reduce((sum, entry) => sum + entry.deleted, 0);
+  const binary = files.filter((entry) => entry.binary).length;
+  return `${files.length} file${
+    files.length === 1 ? "" : "s"
+  } changed (${statuses
+    .map(([status, count]) => `${count} ${status}`)
+    .join(", ")}), +${added} -${deleted} lines${
+    binary > 0 ? `, ${binary} binary` : ""
+  }`;
+}
+
+// Helper function to describe a file for the prompt, e.g.
+// "- src/old.js -> src/new.js (renamed, 92% similar, +3 -1)"
+function formatFileChange(entry) {
+  const name = entry.oldFile ? `${entry.oldFile} -> ${entry.file}` : entry.file;
+  const details = [FILE_STATUS_NAMES[entry.status] || entry.status];
+  if (entry.oldFile && entry.similarity < 100) {
+    details.push(`${entry.similarity}% similar`);
+  }
+  details.push(entry.binary ? "binary" : `+${entry.added} -${entry.deleted}`);
+  return `- ${name} (${details.join(", ")})`;
+}
+
+// Helper function to list the changed functions and classes of each file
+function formatChangedSymbols(files) {
+  const lines = files
+    .filter((entry) => entry.symbols?.length)
+    .map((entry) => `- ${entry.file}: ${entry.symbols.join(", ")}`);
+  return lines.join("\n") || "None found";
+}
+
+// Helper function to validate prompt template
+function validatePromptTemplate(
+  template,
+  requiredPlaceholders = PROMPT_PLACEHOLDERS
+) {
+  const describe = (placeholders) =>
+    placeholders.map((choices) => [].concat(choices).join(" or ")).join(", ");
+  const missingPlaceholders = requiredPlaceholders.filter(
+    (choices) => ![].concat(choices).some((p) => template.includes(p))
+  );
+
+  if (missingPlaceholders.length > 0) {
+    throw new TemplateError(
+      `Invalid prompt template. Missing required placeholders: ${describe(
+        missingPlaceholders
+      )}\nRequired placeholders: ${describe(requiredPlaceholders)}`
+    );
+  }
+
+  return true;
+}
+
+// Helper function to apply custom conventional type
+function applyCustomConventionalType(message, customType) {
+  if (!customType) {
+    return message;
+  }
+
+  // If custom type is empty, use default conventional behavior
+  if (customType.trim() === "") {
+    return message;
+  }
+
+  // Match any existing conventional commit type, scope and breaking marker
+  // This matches patterns like "feat:", "fix(scope):", "docs(api)!:", etc.
+  const conventionalRegex = /^[a-z]+(\(([^)]*)\))?(!)?\s*:\s*/i;
+  const match = message.match(conventionalRegex);
+
+  // "fix" keeps the scope the AI chose, "fix(api)" sets it and "fix()" drops it
+  const [, type, explicitScope] = customType
+    .trim()
+    .match(/^([^(]+)(?:\(([^)]*)\))?$/) || [null, customType.trim()];
+  const scope = explicitScope !== undefined ? explicitScope : match?.[2];
+  const breaking = !type.endsWith("!") && match?.[3] ? "!" : "";
+  const prefix = `${type}${scope ? `(${scope})` : ""}${breaking}: `;
+
+  if (match) {
+    // Replace existing conventional format with custom type
+    return message.replace(conventionalRegex, prefix);
+  } else {
+    // Prepend custom type to message that doesn't have conventional format
+    return `${prefix}${message}`;
+  }
+}
+
+// Helper function to replace the scope of a conventional commit subject. An
+// empty scope removes it; subjects without a conventional type are untouched.
+function setConventionalScope(message, scope) {
+  return message.replace(
+    /^([a-z]+)(?:\([^)]*\))?(!?):\s*/,
+    (_, type, breaking) => `${type}${scope ? `(${scope})` : ""}${breaking}: `
+  );
+}
+
+// Helper function to apply -t, --scope and the inferred workspace scope to the
+// subject. A scope given in -t ("fix(api)") wins over both of the others.
+function applyConventionalOptions(subject, args) {
+  let result = subject;
+  if (args.conventionalType !== undefined) {
+    result = applyCustomConventionalType(result, args.conventionalType);
+  }
+  // The workspace scope is only a guess, so it's only added to messages that
+  // are meant to be conventional
+  const scope =
+    args.scope ??
+    (usesConventionalFormat(args) ? args.inferredScope : undefined);
+  if (scope !== undefined && !(args.conventionalType || "").includes("(")) {
+    result = setConventionalScope(result, scope);
+  }
+  return result;
+}
+
+// Helper function to read the "packages" list from pnpm-workspace.yaml. Only
+// the block list and inline list forms are supported, no other YAML.
+function parsePnpmWorkspace(text) {
+  const globs = [];
+  let inPackages = false;
+  for (const line of text.split("\n")) {
+    const stripped = line.replace(/(^|\s)#.*$/, "").trimEnd();
+    const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, "$2");
+    const inline = stripped.match(/^packages\s*:\s*\[(.*)\]$/);
+    if (inline) {
+      return inline[1].split(",").map(unquote).filter(Boolean);
+    }
+    if (/^packages\s*:\s*$/.test(stripped)) {
+      inPackages = true;
+    } else if (inPackages && /^\s+-\s*\S/.test(stripped)) {
+      globs.push(unquote(stripped.replace(/^\s+-/, "")));
+    } else if (/^\S/.test(stripped)) {
+      inPackages = false;
+    }
+  }
+  return globs;
+}
+
+// Helper function to read the workspace globs from package.json ("workspaces"
+// as an array or as { packages }), falling back to pnpm-workspace.yaml
+function readWorkspaceGlobs(repoRoot) {
+  const packageJsonPath = path.join(repoRoot, "package.json");
+  if (fs.existsSync(packageJsonPath)) {
+    const { workspaces } = readJsonFile(packageJsonPath);
+    const globs = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+    if (Array.isArray(globs)) {
+      return globs;
+    }
+  }
+
+  const pnpmWorkspacePath = path.join(repoRoot, PNPM_WORKSPACE_FILE);
+  if (fs.existsSync(pnpmWorkspacePath)) {
+    return parsePnpmWorkspace(fs.readFileSync(pnpmWorkspacePath, "utf8"));
+  }
+  return [];
+}
+
+// Helper function to find the workspace packages as { dir, scope } pairs. The
+// scope is the package name without its npm scope ("@acme/web" -> "web").
+// Negated globs ("!packages/legacy") exclude packages.
+function findWorkspacePackages(repoRoot) {
+  const globs = readWorkspaceGlobs(repoRoot).map((glob) =>
+    glob.replace(/^\.\//, "").replace(/\/+$/, "")
+  );
+  const excluded = globs
+    .filter((glob) => glob.startsWith("!"))
+    .map((glob) => glob.slice(1));
+
+  const manifests = new Map();
+  for (const glob of globs.filter((glob) => !glob.startsWith("!"))) {
+    // Walk down from the part of the glob before the first wildcard
+    const segments = glob.split("/");
+    const wildcardAt = segments.findIndex((segment) => /[*?]/.test(segment));
+    const base =
+      wildcardAt === -1 ? glob : segments.slice(0, wildcardAt).join("/");
+    const maxDepth = glob.includes("**")
+      ? Infinity
+      : wildcardAt === -1
+      ? 0
+      : segments.length - wildcardAt;
+
+    const pending = [[base, 0]];
+    while (pending.length > 0) {
+      const [dir, depth] = pending.pop();
+      const manifest = path.join(repoRoot, dir, "package.json");
+      if (
+        dir &&
+        matchesAnyGlob(dir, [glob]) &&
+        !matchesAnyGlob(dir, excluded) &&
+        fs.existsSync(manifest)
+      ) {
+        manifests.set(dir, manifest);
+      }
+      if (depth >= maxDepth) {
+        continue;
+      }
+      let entries = [];
+      try {
+        entries = fs.readdirSync(path.join(repoRoot, dir), {
+          withFileTypes: true,
+        });
+      } catch (e) {
+        continue;
+      }
+      for (const entry of entries) {
+        if (
+          entry.isDirectory() &&
+          entry.name !== "node_modules" &&
+          !entry.name.startsWith(".")
+        ) {
+          pending.push([dir ? `${dir}/${entry.name}` : entry.name, depth + 1]);
+        }
+      }
+    }
+  }
+
+  return [...manifests].map(([dir, manifest]) => {
+    let name = "";
+    try {
+      name = JSON.parse(fs.readFileSync(manifest, "utf8")).name || "";
+    } catch (e) {
+      // Fall back to the directory name below
+    }
+    return {
+      dir,
+      scope: (name || path.basename(dir)).replace(/^@[^/]+\//, ""),
+    };
+  });
+}
+
+// Helper function to work out the scopes touched by the staged files. scopeMap
+// entries (a glob or directory mapped to a scope) win over workspace packages,
+// and files outside both don't count towards any scope. Returns all known
+// scopes and the changed ones, the scope with the most changed files first.
+function inferScopes(stagedFiles, repoRoot, scopeMap = {}) {
+  const packages = findWorkspacePackages(repoRoot).sort(
+    (a, b) => b.dir.length - a.dir.length
+  );
+  const mappings = Object.entries(scopeMap).map(([pattern, scope]) => [
+    /[*?]/.test(pattern) ? pattern : `${pattern.replace(/\/+$/, "")}/**`,
+    scope,
+  ]);
+
+  const counts = new Map();
+  for (const file of stagedFiles) {
+    const mapping = mappings.find(([pattern]) =>
+      matchesAnyGlob(file, [pattern])
+    );
+    const workspacePackage = packages.find((p) => file.startsWith(`${p.dir}/`));
+    const scope = mapping ? mapping[1] : workspacePackage?.scope;
+    if (scope) {
+      counts.set(scope, (counts.get(scope) || 0) + 1);
+    }
+  }
+
+  const known = [
+    ...new Set([
+      ...mappings.map(([, scope]) => scope),
+      ...packages.map((p) => p.scope),
+    ]),
+  ].sort();
+  const changed = [...counts]
+    .sort((a, b) => b[1] - a[1])
+    .map(([scope]) => scope);
+  return { known, changed };
+}
+
+// Helper function to pick the scope for a change under the multi-scope policy.
+// Returns undefined when no known scope was touched.
+function resolveScope(changed, policy) {
+  if (changed.length <= 1 || policy === "primary") {
+    return changed[0];
+  }
+  return policy === "omit" ? "" : changed.join(",");
+}
+
+// Work out the workspace scopes of the staged files: they are listed in the
+// prompt and the resolved scope replaces whatever scope the AI chose
+async function applyScopeInference(args, gitData, git) {
+  const repoRoot = await getRepoRoot(git, args.debug);
+  if (!repoRoot) {
+    return;
+  }
+  const stagedFiles = gitData.gitStagedChanges.split("\n").filter(Boolean);
+  const { known, changed } = inferScopes(stagedFiles, repoRoot, args.scopeMap);
+  debugLog(
+    args.debug,
+    `Known scopes: ${known.join(", ") || "none"}; changed: ${
+      changed.join(", ") || "none"
+    }`
+  );
+  if (known.length === 0) {
+    return;
+  }
+  args.scopeInfo = { known, changed };
+  args.inferredScope = resolveScope(changed, args.multiScope);
+}
+
+// Helper function to escape a string for use inside a regex
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Helper function to extract a ticket ID from the branch name. If the pattern
+// has a capture group, its first group is used as the ID (e.g. "gh-(\\d+)").
+function extractTicketFromBranch(
+  branchName,
+  ticketPattern = DEFAULT_TICKET_PATTERN
+) {
+  const match = branchName ? new RegExp(ticketPattern).exec(branchName) : null;
+  return match ? match[1] ?? match[0] : "";
+}
+
+// Fill in args.ticketID from the branch name when it wasn't given explicitly
+function applyBranchTicket(args, branchName) {
+  if (args.ticketID !== undefined || !args.branchTicket) {
+    return;
+  }
+  const ticketID = extractTicketFromBranch(branchName, args.ticketPattern);
+  if (ticketID) {
+    args.ticketID = ticketID;
+    consola.info(`Using ticket ${ticketID} from branch ${branchName}`);
+  }
+}
+
+// Helper function to work out how and where the ticket is written. A format
+// that looks like a footer (e.g. "Refs: {ticket}") goes in the footer, and
+// --body messages default to a "Refs:" footer.
+function getTicketStyle(options = {}) {
+  const position =
+    options.ticketPosition ||
+    (options.ticketFormat
+      ? FOOTER_REGEX.test(options.ticketFormat)
+        ? "footer"
+        : "suffix"
+      : options.body
+      ? "footer"
+      : "suffix");
+  const format =
+    options.ticketFormat ||
+    (position === "footer" ? "Refs: {ticket}" : "({ticket})");
+  return { position, format };
+}
+
+// Helper function to remove references to the ticket that the model already
+// put at the start or end of the subject, e.g. "(PROJ-123)", "[#456]" or
+// "PROJ-123:", so the ticket is never doubled
+function stripTicketReferences(subject, ticketID, options = {}) {
+  const { ticketPattern = DEFAULT_TICKET_PATTERN } = options;
+  const { format } = getTicketStyle(options);
+  const ticket = escapeRegExp(ticketID);
+  // Unbracketed references must stand alone, so "foo-PROJ-1" or "PROJ-1.5"
+  // are left as they are
+  const standalone = (form) => `(?<!\\S)${form}(?![^\\s:])`;
+  const forms = [
+    escapeRegExp(fillTemplate(format, { ticket: ticketID })),
+    `[(\\[]\\s*#?(?:${ticket}|${ticketPattern})\\s*[)\\]]`,
+    standalone(`#${ticket}`),
+  ];
+  // Only strip a bare ID when it can't be mistaken for a number in the subject
+  if (/[a-z]/i.test(ticketID)) {
+    forms.push(standalone(ticket));
+  }
+  const reference = `(?:${forms.join("|")})`;
+
+  return subject
+    .replace(new RegExp(`^${reference}\\s*:?\\s*`), "")
+    .replace(new RegExp(`\\s*${reference}\\s*$`), "");
+}
+
+// Helper function to add the ticket reference as a footer, merging it into an
+// existing footer block and skipping it if the ticket is already referenced there
+function addTicketFooter(body, reference, ticketID) {
+  const paragraphs = body ? body.split("\n\n") : [];
+  const last = paragraphs[paragraphs.length - 1];
+
+  if (last && FOOTER_REGEX.test(last)) {
+    if (!last.includes(ticketID)) {
+      paragraphs[paragraphs.length - 1] = `${last}\n${reference}`;
+    }
+  } else {
+    paragraphs.push(reference);
+  }
+
+  return paragraphs.join("\n\n");
+}
+
+// Helper function to format final commit message with ticket. `options` takes
+// the ticketPattern, ticketFormat, ticketPosition and body settings.
+function formatCommitMessage(message, ticketID, options = {}) {
+  if (!ticketID) {
+    return message;
+  }
+
+  const [subject, ...paragraphs] = message.split("\n\n");
+  let body = paragraphs.join("\n\n");
+
+  // Remove any existing ticket references to avoid duplication. With
+  // Conventional Commits the ticket goes after the "type(scope): " header, so
+  // the message still parses.
+  const cleanSubject = stripTicketReferences(subject, ticketID, options);
+  const headerMatch = usesConventionalFormat(options)
+    ? cleanSubject.match(/^(\w+(?:\([^)]*\))?!?:\s*)(.*)$/)
+    : null;
+  const header = headerMatch ? headerMatch[1] : "";
+  let description = headerMatch
+    ? stripTicketReferences(headerMatch[2], ticketID, options)
+    : cleanSubject;
+
+  const { position, format } = getTicketStyle(options);
+  const reference = fillTemplate(format, { ticket: ticketID });
+  if (position === "footer") {
+    body = addTicketFooter(body, reference, ticketID);
+  } else if (position === "prefix") {
+    description = `${reference} ${description}`;
+  } else {
+    description = `${description} ${reference}`;
+  }
+
+  return body
+    ? `${header}${description}\n\n${body}`
+    : `${header}${description}`;
+}
+
+// Helper function to convert a glob pattern to a regex. Patterns without a "/"
+// match against the file name in any directory, like .gitignore.
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" matches zero or more directories, a bare "**" matches anything
+      source += pattern[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += pattern[i + 2] === "/" ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  const prefix = pattern.includes("/") ? "^" : "(?:^|/)";
+  return new RegExp(`${prefix}${source.replace(/^\//, "")}$`);
+}
+
+// Helper function to check a file path against a list of glob patterns
+function matchesAnyGlob(file, patterns = []) {
+  return patterns.some((pattern) => globToRegExp(pattern).test(file));
+}
+
+// Helper function to calculate the Shannon entropy of a string, in bits per character
+function shannonEntropy(text) {
+  const counts = {};
+  for (const char of text) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / text.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+}
+
+// Helper function to check whether a string looks like a random key rather
+// than an identifier: mixed case, digits and high entropy
+function isHighEntropyString(text) {
+  return (
+    /[a-z]/.test(text) &&
+    /[A-Z]/.test(text) &&
+    /\d/.test(text) &&
+    shannonEntropy(text) >= HIGH_ENTROPY_THRESHOLD
+  );
+}
+
+// Mask known token formats and high-entropy strings in a diff, or in plain
+// text when `isDiff` is false. Returns the masked text and the kind of each
+// secret found.
+function redactSecrets(text, isDiff = true) {
+  const kinds = [];
+  let redacted = text;
+  for (const { kind, pattern } of SECRET_PATTERNS) {
+    redacted = redacted.replace(pattern, () => {
+      kinds.push(kind);
+      return `[REDACTED ${kind}]`;
+    });
+  }
+
+  redacted = redacted
+    .split("\n")
+    .map((line) => {
+      // File headers only hold paths and blob hashes
+      if (isDiff && /^(diff --git |index |--- |\+\+\+ )/.test(line)) {
+        return line;
+      }
+      // Leave the +/-/space prefix of diff lines alone
+      const prefix = isDiff ? line.slice(0, 1) : "";
+      return (
+        prefix +
+        line
+          .slice(prefix.length)
+          .replace(HIGH_ENTROPY_CANDIDATE, (candidate) => {
+            if (!isHighEntropyString(candidate)) {
+              return candidate;
+            }
+            kinds.push("high-entropy string");
+            return "[REDACTED high-entropy string]";
+          })
+      );
+    })
+    .join("\n");
+  return { text: redacted, kinds };
+}
+
+// Helper function to mask secrets in the prompt texts that don't come from the
+// diff (recent commits, style examples, the user's context), warning when any
+// are found. Returns the texts in the same order.
+function redactPromptTexts(texts, args) {
+  if (!args.redact) {
+    return texts;
+  }
+  let count = 0;
+  const redacted = texts.map((text) => {
+    if (!text) {
+      return text;
+    }
+    const result = redactSecrets(text, false);
+    count += result.kinds.length;
+    return result.text;
+  });
+  if (count > 0) {
+    consola.warn(
+      `Masked ${count} possible secret(s) in the recent commits, style examples or context.`
+    );
+  }
+  return redacted;
+}
+
+// Mask the secrets in each file of a diff, returning the masked diff and a
+// { file, kind } entry for each secret
+function redactDiffSecrets(gitDiff) {
+  const secrets = [];
+  const diff = splitDiffByFile(gitDiff)
+    .map(({ file, diff: fileDiff }) => {
+      const { text, kinds } = redactSecrets(fileDiff);
+      secrets.push(...kinds.map((kind) => ({ file, kind })));
+      return text;
+    })
+    .join("\n");
+  return { diff, secrets };
+}
+
+// Helper function to estimate the number of tokens in a piece of text
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Helper function to split a unified diff into one chunk per file
+function splitDiffByFile(gitDiff) {
+  return gitDiff
+    .split(/^(?=diff --git )/m)
+    .filter((chunk) => chunk.startsWith("diff --git "))
+    .map((chunk) => {
+      const match = chunk.match(/^diff --git a\/(.+?) b\/(.+)$/m);
+      return { file: match ? match[2] : "", diff: chunk.trimEnd() };
+    });
+}
+
+// Helper function to build the git arguments that diff the staged changes, or
+// commit `rev` against its first parent when rewording existing commits
+function getDiffArgs(rev, options = []) {
+  // A range such as "main..HEAD" is diffed as a whole
+  if (rev && rev.includes("..")) {
+    return ["diff", ...options, rev];
+  }
+  return rev
+    ? [
+        "diff-tree",
+        "-r",
+        "--root",
+        "--no-commit-id",
+        "--diff-merges=first-parent",
+        ...options,
+        rev,
+      ]
+    : ["diff", "--cached", ...options];
+}
+
+// Fetch the staged files (or the files changed by `rev`) with their status,
+// detecting renames and copies, and their insertion/deletion counts. Binary
+// files have no counts.
+async function getFileChanges(git, rev) {
+  const [statusOutput, numstatOutput] = await Promise.all([
+    git(getDiffArgs(rev, ["--name-status", "-M", "-z"])),
+    git(getDiffArgs(rev, ["--numstat", "-M", "-z"])),
+  ]);
+
+  // Each entry is "<status>\0<path>\0", or "R<similarity>\0<old>\0<new>\0"
+  const files = [];
+  const fields = statusOutput.split("\0");
+  for (let i = 0; i + 1 < fields.length; ) {
+    const code = fields[i++];
+    const status = code[0];
+    const oldFile = "RC".includes(status) ? fields[i++] : undefined;
+    files.push({
+      file: fields[i++],
+      oldFile,
+      status,
+      similarity: oldFile ? Number(code.slice(1)) : undefined,
+      added: 0,
+      deleted: 0,
+      binary: false,
+    });
+  }
+
+  // Each entry is "<added>\t<deleted>\t<path>\0", or for renames
+  // "<added>\t<deleted>\t\0<old>\0<new>\0"
+  const byFile = new Map(files.map((entry) => [entry.file, entry]));
+  const stats = numstatOutput.split("\0");
+  for (let i = 0; i + 1 < stats.length; i++) {
+    const [added, deleted, filePath] = stats[i].split("\t");
+    if (filePath === "") {
+      i += 2;
+    }
+    const entry = byFile.get(filePath === "" ? stats[i] : filePath);
+    if (entry) {
+      entry.added = Number(added) || 0;
+      entry.deleted = Number(deleted) || 0;
+      entry.binary = added === "-" && deleted === "-";
+    }
+  }
+  return files;
+}
+
+// Helper function to pull the function or class name out of a line
+function getSymbolName(line) {
+  const match = line.match(SYMBOL_NAME_REGEX);
+  const name = match && (match[1] || match[2] || match[3]);
+  return name && !SYMBOL_NAME_KEYWORDS.includes(name) ? name : null;
+}
+
+// Helper function to list the functions and classes a file's diff touches:
+// the enclosing ones named in its hunk headers, and the declarations it adds
+// or removes
+function extractChangedSymbols(diff) {
+  const lines = diff.split("\n");
+  const declarations = [
+    ...lines
+      .map((line) => line.match(/^@@ [^@]* @@ ?(.*)$/)?.[1])
+      .filter(Boolean),
+    ...lines
+      .filter((line) => SIGNATURE_REGEX.test(line))
+      .map((line) => line.slice(1)),
+  ];
+  const names = declarations.map(getSymbolName).filter(Boolean);
+  return [...new Set(names)].slice(0, SYMBOLS_PER_FILE);
+}
+
+// Helper function to rank files for the diff budget: source first, then
+// generated/minified/snapshot files, then binaries
+function getFilePriority(file, stat) {
+  if (stat && stat.binary) {
+    return 2;
+  }
+  return matchesAnyGlob(file, GENERATED_FILE_GLOBS) ? 1 : 0;
+}
+
+// Helper function to describe a file by its change counts, e.g. "src/a.js (+10 -2)"
+function formatFileStat(file, stat) {
+  if (!stat) {
+    return file;
+  }
+  return stat.binary
+    ? `${file} (binary)`
+    : `${file} (+${stat.added} -${stat.deleted})`;
+}
+
+// Helper function to shrink a single file's diff to fit `budget` characters.
+// File headers, hunk headers (which carry the enclosing function) and changed
+// declaration lines are always kept; whole hunks are then added back in order
+// while they fit.
+function condenseFileDiff(diff, budget) {
+  if (diff.length <= budget) {
+    return diff;
+  }
+
+  const [header, ...hunks] = diff.split(/^(?=@@ )/m);
+  const skeletons = hunks.map((hunk) => {
+    const [hunkHeader, ...lines] = hunk.trimEnd().split("\n");
+    const changed = lines.filter((line) => /^[+-]/.test(line));
+    const signatures = changed.filter((line) => SIGNATURE_REGEX.test(line));
+    const omitted = changed.length - signatures.length;
+    return [
+      hunkHeader,
+      ...signatures,
+      ...(omitted > 0 ? [`... (${omitted} changed lines omitted)`] : []),
+    ].join("\n");
+  });
+
+  const parts = [...skeletons];
+  let length = header.length + parts.join("\n").length;
+  for (let i = 0; i < hunks.length; i++) {
+    const full = hunks[i].trimEnd();
+    const extra = full.length - skeletons[i].length;
+    if (length + extra <= budget) {
+      parts[i] = full;
+      length += extra;
+    }
+  }
+
+  const condensed = `${header}${parts.join("\n")}`;
+  if (condensed.length <= budget) {
+    return condensed;
+  }
+  // Even the skeleton doesn't fit, cut it at a line boundary, or at the budget
+  // itself when the first line is already too long
+  const cut = condensed.slice(0, budget);
+  const lineEnd = cut.lastIndexOf("\n");
+  return `${
+    lineEnd > 0 ? cut.slice(0, lineEnd) : cut
+  }\n... (file diff truncated)`;
+}
+
+// Helper function to fit the staged diff into `maxChars`. Files are given a
+// budget in priority order (smallest first within each tier, so small files
+// are kept whole and the rest share what's left); files that can't get a
+// useful budget are dropped and summarised by their stats.
+function condenseDiff(fileDiffs, stats, maxChars) {
+  const files = fileDiffs
+    .map((entry) => ({
+      ...entry,
+      stat: stats.get(entry.file),
+      priority: getFilePriority(entry.file, stats.get(entry.file)),
+    }))
+    .sort((a, b) => a.priority - b.priority || a.diff.length - b.diff.length);
+
+  const included = new Map();
+  const omitted = [];
+  const condensedFiles = [];
+  let remaining = maxChars;
+  files.forEach((entry, index) => {
+    const filesLeft = files.length - index;
+    const share = Math.floor(remaining / filesLeft);
+    const budget = Math.min(entry.diff.length, share);
+    if (budget < entry.diff.length && budget < MIN_FILE_DIFF_CHARS) {
+      omitted.push(entry);
+      return;
+    }
+    const condensed = condenseFileDiff(entry.diff, budget);
+    included.set(entry.file, condensed);
+    if (condensed !== entry.diff) {
+      condensedFiles.push({
+        file: entry.file,
+        chars: entry.diff.length,
+        keptChars: condensed.length,
+      });
+    }
+    remaining -= condensed.length;
+  });
+
+  // Keep the original file order for the files that made it in
+  const diff = fileDiffs
+    .filter((entry) => included.has(entry.file))
+    .map((entry) => included.get(entry.file))
+    .join("\n");
+  const notes = ["... (Diff condensed due to size)"];
+  if (omitted.length > 0) {
+    notes.push(
+      `Files omitted from the diff:\n${omitted
+        .map((entry) => `- ${formatFileStat(entry.file, entry.stat)}`)
+        .join("\n")}`
+    );
+  }
+
+  return {
+    diff: `${diff}\n${notes.join("\n")}`,
+    omittedFiles: omitted.map((entry) => entry.file),
+    condensedFiles,
+  };
+}
+
+// Helper function to get git status and smart diff. With `options.rev`, the
+// diff of that commit is used instead of the staged changes.
+async function getGitData(git, debug, options = {}) {
+  const {
+    rev,
+    maxDiffChars = DEFAULT_MAX_DIFF_CHARS,
+    ignore = [],
+    contextWindow = DEFAULT_CONTEXT_WINDOW,
+    redact = true,
+    sensitivePaths = SENSITIVE_FILE_GLOBS,
+  } = options;
+  try {
+    // Check if repo exists
+    try {
+      await git(["rev-parse", "--is-inside-work-tree"]);
+    } catch (err) {
+      throw new GitError(
+        "Not a git repository. Please run this script inside a git repo.",
+        { cause: err }
+      );
+    }
+
+    // Get the staged files with their status and change counts
+    const files = await getFileChanges(git, rev);
+    const stagedFiles = files.map((entry) => entry.file);
+
+    if (stagedFiles.length === 0) {
+      return { gitStagedChanges: "", gitDiff: "", files, hasStaged: false };
+    }
+
+    // Sensitive files are listed, but their content never leaves the machine
+    const sensitiveFiles = redact
+      ? stagedFiles.filter((f) => matchesAnyGlob(f, sensitivePaths))
+      : [];
+
+    // Filter out lockfiles and ignored files from the content diff to save tokens/memory
+    const filesToDiff = stagedFiles.filter(
+      (f) =>
+        !f.match(
+          /(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock)/
+        ) &&
+        !matchesAnyGlob(f, ignore) &&
+        !sensitiveFiles.includes(f)
+    );
+    const excludedFiles = stagedFiles
+      .filter((f) => !filesToDiff.includes(f))
+      .map((file) => ({
+        file,
+        reason: sensitiveFiles.includes(file)
+          ? "sensitive"
+          : matchesAnyGlob(file, ignore)
+          ? "ignored"
+          : "lockfile",
+      }));
+
+    let gitDiff = "";
+    let rawDiff = "";
+    let fileDiffs = [];
+    let truncated = false;
+    let omittedFiles = [];
+    let condensedFiles = [];
+    let exceedsContextWindow = false;
+    let secrets = [];
+    if (filesToDiff.length > 0) {
+      // Limit diff to specific files that aren't lockfiles
+      const stdout = await git([
+        ...getDiffArgs(rev, ["-p"]),
+        "--",
+        ...filesToDiff,
+      ]);
+      gitDiff = stdout.trim();
+      if (redact) {
+        ({ diff: gitDiff, secrets } = redactDiffSecrets(gitDiff));
+      }
+      rawDiff = gitDiff;
+      fileDiffs = splitDiffByFile(gitDiff);
+      for (const { file, diff } of fileDiffs) {
+        const entry = files.find((candidate) => candidate.file === file);
+        if (entry) {
+          entry.symbols = extractChangedSymbols(diff);
+        }
+      }
+      exceedsContextWindow =
+        estimateTokens(gitDiff) > contextWindow - PROMPT_RESERVE_TOKENS;
+    } else if (sensitiveFiles.length > 0) {
+      gitDiff = "(Only lockfiles and sensitive files changed - diff withheld)";
+    } else {
+      gitDiff = "(Lockfiles only changed - diff suppressed to save tokens)";
+    }
+
+    // Limit on diff characters (20k chars by default) to prevent context overflow
+    if (gitDiff.length > maxDiffChars) {
+      const stats = new Map(files.map((entry) => [entry.file, entry]));
+      const condensed = condenseDiff(fileDiffs, stats, maxDiffChars);
+      gitDiff = condensed.diff;
+      omittedFiles = condensed.omittedFiles;
+      condensedFiles = condensed.condensedFiles;
+      truncated = true;
+      debugLog(
+        debug,
+        `Diff condensed to ${gitDiff.length} chars, omitted files: ${
+          omittedFiles.join(", ") || "none"
+        }`
+      );
+    }
+
+    return {
+      gitStagedChanges: stagedFiles.join("\n"), // Keep full file list for context
+      // The file list as `git diff --name-status` prints it
+      nameStatus: files
+        .map((entry) =>
+          [
+            `${entry.status}${entry.oldFile ? entry.similarity : ""}`,
+            entry.oldFile,
+            entry.file,
+          ]
+            .filter((field) => field !== undefined)
+            .join("\t")
+        )
+        .join("\n"),
+      files, // Status, counts and changed symbols per file
+      gitDiff: gitDiff,
+      rawDiff, // Uncondensed diff, used for the file summary
+      fileDiffs, // Full per-file diffs, used for map-reduce summaries
+      truncated,
+      omittedFiles,
+      condensedFiles,
+      excludedFiles,
+      exceedsContextWindow,
+      redactions: { files: sensitiveFiles, secrets },
+      hasStaged: true,
+    };
+  } catch (error) {
+    debugLog(debug, "getGitData error:", error);
+    if (error instanceof CommitAssistError) {
+      throw error;
+    }
+    throw new GitError(`Git error: ${error.message}`, { cause: error });
+  }
+}
+
+// Helper function to copy text to clipboard (cross-platform)
+async function copyToClipboard(text) {
+  try {
+    const clipboardy = await import("clipboardy");
+    await clipboardy.default.write(text);
+    return true;
+  } catch (error) {
+    consola.error("Clipboard copy failed:", error.message);
+    return false;
+  }
+}
+
+// Helper function to run git commit with the given message, streaming git's
+// own output (including hook output) to the terminal. Resolves with the exit code.
+function runGitCommit(message, args) {
+  const commitArgs = ["commit", "-m", message];
+  if (args.noVerify) commitArgs.push("--no-verify");
+  if (args.signoff) commitArgs.push("--signoff");
+  if (args.amend) commitArgs.push("--amend");
+
+  return new Promise((resolve) => {
+    const child = spawn("git", commitArgs, { stdio: "inherit" });
+    child.on("error", (error) => {
+      consola.error("Could not run git commit:", error.message);
+      resolve(1);
+    });
+    child.on("close", (code) => resolve(code ?? 1));
+  });
+}
+
+// Helper function to commit with the message and report the outcome
+async function commitWithMessage(message, args) {
+  consola.start(args.amend ? "Amending commit..." : "Committing...");
+  const exitCode = await runGitCommit(message, args);
+
+  if (exitCode === 0) {
+    consola.success("Committed!");
+    return true;
+  }
+
+  consola.error(`git commit failed (exit code ${exitCode}).`);
+  if (!args.noVerify) {
+    consola.info(
+      "A pre-commit or commit-msg hook may have rejected the commit. Fix the issues reported above and try again, or use --no-verify to skip hooks."
+    );
+  }
+  return false;
+}
+
+// Helper function to copy or commit the accepted message, depending on --commit
+async function acceptMessage(message, args) {
+  if (args.commit) {
+    return commitWithMessage(message, args);
+  }
+
+  const copySuccess = await copyToClipboard(message);
+  if (copySuccess) {
+    consola.success("Copied to clipboard!");
+  } else {
+    consola.error("Copy failed.");
+    consola.info("Use --commit to commit directly instead.");
+  }
+  return copySuccess;
+}
+
+// Resolve the editor the same way git does (GIT_EDITOR, core.editor, VISUAL, EDITOR)
+async function getGitEditor(debug) {
+  try {
+    const { stdout } = await execAsync("git var GIT_EDITOR");
+    return stdout.trim();
+  } catch (err) {
+    debugLog(debug, "Error in getGitEditor:", err);
+    return process.env.VISUAL || process.env.EDITOR || "vi";
+  }
+}
+
+// Helper function to open the message in the user's editor. Returns the edited
+// message with comment lines removed, or an empty string if it was cleared.
+async function editInEditor(message, debug) {
+  const editor = await getGitEditor(debug);
+  const filePath = path.join(
+    os.tmpdir(),
+    `commit-assist-${process.pid}-COMMIT_EDITMSG`
+  );
+  fs.writeFileSync(
+    filePath,
+    `${message}\n\n# Edit the commit message above. Lines starting with '#' are ignored.\n# Save an empty message to cancel.\n`
+  );
+
+  try {
+    // Run through the shell so editors configured with arguments (e.g. "code --wait") work
+    const exitCode = await new Promise((resolve) => {
+      const child = spawn(`${editor} "${filePath}"`, {
+        stdio: "inherit",
+        shell: true,
+      });
+      child.on("error", (error) => {
+        consola.error(`Could not start editor "${editor}":`, error.message);
+        resolve(1);
+      });
+      child.on("close", (code) => resolve(code ?? 1));
+    });
+
+    if (exitCode !== 0) {
+      consola.error(`Editor "${editor}" exited with code ${exitCode}.`);
+      return "";
+    }
+
+    return fs
+      .readFileSync(filePath, "utf8")
+      .split("\n")
+      .filter((line) => !line.startsWith("#"))
+      .join("\n")
+      .trim();
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+// Helper function to get user input from command line
+async function getUserInput(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+// Helper function to fill template placeholders with values from an object
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    return key in values ? values[key] : match;
+  });
+}
+
+// Helper function to load the prompt template from a custom path or the
+// default one next to this script (prompt.md, or pr-prompt.md for `pr`)
+function loadPromptTemplate(customPath = null, defaultFile = "prompt.md") {
+  let templatePath;
+  if (customPath) {
+    templatePath = path.isAbsolute(customPath)
+      ? customPath
+      : path.join(process.cwd(), customPath);
+    // Validate the path exists and is a file
+    if (!fs.existsSync(templatePath) || !fs.statSync(templatePath).isFile()) {
+      throw new TemplateError(
+        `Prompt template path does not exist or is not a file: ${templatePath}`
+      );
+    }
+  } else {
+    templatePath = path.join(__dirname, defaultFile);
+  }
+  try {
+    return fs.readFileSync(templatePath, "utf8");
+  } catch (e) {
+    throw new TemplateError(
+      `Could not load prompt template at ${templatePath}: ${e.message}`,
+      { cause: e }
+    );
+  }
+}
+
+// Helper function to turn a prompt string into a single-turn chat; chat
+// histories (arrays of { role, content }) are passed through as they are
+function toChatMessages(prompt) {
+  return Array.isArray(prompt) ? prompt : [{ role: "user", content: prompt }];
+}
+
+// Helper function to parse a Retry-After header (seconds or an HTTP date)
+// into milliseconds, or null when there isn't one
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// Helper function to turn a failed HTTP response into an error that says what
+// went wrong, marked with whether retrying could help
+function createHttpError(label, response, bodyText) {
+  let detail = bodyText.trim();
+  try {
+    const data = JSON.parse(bodyText);
+    detail = data.error?.message || data.error || data.message || detail;
+  } catch {
+    // Not JSON, keep the text
+  }
+  const { status } = response;
+  const reasons = {
+    401: ["rejected the API key", "Check --api-key or the API key env var."],
+    402: ["needs more credits on the account"],
+    403: ["refused access", "Check the API key's permissions."],
+    404: [
+      "doesn't know the model or endpoint",
+      "Check --model and --base-url.",
+    ],
+    429: ["is rate limiting requests"],
+  };
+  const [reason, hint] = reasons[status] || [
+    status >= 500 ? "had a server error" : "API Error",
+  ];
+  if (hint) {
+    detail = `${detail.replace(/[.!?]?$/, ".")} ${hint}`;
+  }
+  const error = new Error(`${label} ${reason} (${status}): ${detail}`);
+  error.status = status;
+  error.retryable = RETRYABLE_STATUSES.includes(status);
+  error.retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+  return error;
+}
+
+// Helper function to call an OpenAI-compatible chat completions endpoint
+// (streaming the response over SSE when `onToken` is given)
+async function callChatCompletions({
+  baseUrl,
+  apiKey,
+  headers = {},
+  model,
+  prompt,
+  label,
+  debug,
+  onToken,
+  signal,
+}) {
+  debugLog(debug, `Calling ${label} at ${baseUrl} with model: ${model}`);
+
+  try {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      signal,
+      headers: {
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: JSON.stringify({
+        model,
+        messages: toChatMessages(prompt),
+        temperature: 0.7,
+        stream: Boolean(onToken),
+      }),
+    });
+
+    if (!response.ok) {
+      throw createHttpError(label, response, await response.text());
+    }
+
+    if (onToken) {
+      return await readChatCompletionsStream(response, label, onToken);
+    }
+
+    const data = await response.json();
+
+    // Extract message
+    if (data.choices && data.choices.length > 0) {
+      return data.choices[0].message.content;
+    } else {
+      throw new Error(`${label} returned no choices.`);
+    }
+  } catch (error) {
+    debugLog(debug, `${label} Fetch Error:`, error);
+    throw error;
+  }
+}
+
+// Helper function to read a chat completions SSE stream, passing each content
+// delta to `onToken` and resolving with the full text
+async function readChatCompletionsStream(response, label, onToken) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let text = "";
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const payload = line.replace(/^data:\s*/, "").trim();
+      if (!line.startsWith("data:") || !payload) {
+        continue; // Blank lines and SSE comments (": OPENROUTER PROCESSING")
+      }
+      if (payload === "[DONE]") {
+        return text;
+      }
+
+      const data = JSON.parse(payload);
+      if (data.error) {
+        throw new Error(
+          `${label} API Error: ${
+            data.error.message || JSON.stringify(data.error)
+          }`
+        );
+      }
+      const token = data.choices?.[0]?.delta?.content || "";
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+    }
+  }
+
+  return text;
+}
+
+// Helper function to list model IDs from an OpenAI-compatible /models endpoint
+async function listChatCompletionsModels({
+  baseUrl,
+  apiKey,
+  headers = {},
+  label,
+}) {
+  const response = await fetch(`${baseUrl}/models`, {
+    signal: AbortSignal.timeout(MODEL_LIST_TIMEOUT_MS),
+    headers: {
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      ...headers,
+    },
+  });
+  if (!response.ok) {
+    throw createHttpError(label, response, await response.text());
+  }
+  const data = await response.json();
+  return (data.data || []).map((model) => model.id);
+}
+
+// Provider registry. Each provider implements:
+//   label                   Display name
+//   generate(prompt, args, { onToken, signal })
+//                           `prompt` is a string or a chat history array of
+//                           { role, content } messages. Resolves with the
+//                           raw response text, passing each
+//                           chunk to onToken as it arrives and stopping when
+//                           signal is aborted
+//   listModels(args)        Resolves with an array of model names
+// and optionally:
+//   defaultModel            Model used when a fallback entry doesn't name one
+//   preflight(args, { interactive })
+//                           Checks the provider is ready before generating,
+//                           throwing when it isn't
+//   isRemote(args)          Whether prompts leave this machine
+//   optionKeys              The args only this provider uses, cleared when
+//                           falling back to the next provider
+const providers = new Map();
+
+function registerProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+function getProvider(name) {
+  // The library API also accepts a provider object instead of a name
+  if (name && typeof name === "object") {
+    return name;
+  }
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(
+      `Unknown provider "${name}". Available providers: ${[
+        ...providers.keys(),
+      ].join(", ")}`
+    );
+  }
+  return provider;
+}
+
+// Helper function to check whether a URL points at this machine
+function isLocalUrl(url) {
+  try {
+    const { hostname } = new URL(url);
+    return (
+      ["localhost", "0.0.0.0", "[::1]"].includes(hostname) ||
+      hostname.endsWith(".localhost") ||
+      /^127\./.test(hostname)
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+// Helper function to compare Ollama model names, where "llama3.2" means "llama3.2:latest"
+function normalizeOllamaModel(model) {
+  return model.includes(":") ? model : `${model}:latest`;
+}
+
+// Helper function to format a byte count for the pull progress bar
+function formatBytes(bytes) {
+  return bytes >= 1024 ** 3
+    ? `${(bytes / 1024 ** 3).toFixed(1)} GB`
+    : `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+// Pull an Ollama model, showing a progress bar for each layer on a terminal
+// and the status changes otherwise
+async function pullOllamaModel(model) {
+  const ollama = new Ollama();
+  const stream = await ollama.pull({ model, stream: true });
+  const showBar = process.stderr.isTTY;
+  let lastStatus = "";
+  let barShown = false;
+  for await (const part of stream) {
+    if (showBar && part.total && part.completed !== undefined) {
+      const ratio = Math.min(part.completed / part.total, 1);
+      const filled = Math.round(ratio * 30);
+      process.stderr.write(
+        `\r\x1b[K[${"#".repeat(filled)}${"-".repeat(30 - filled)}] ${Math.floor(
+          ratio * 100
+        )}% ${formatBytes(part.completed)}/${formatBytes(part.total)}`
+      );
+      barShown = true;
+    } else if (part.status !== lastStatus) {
+      if (barShown) {
+        process.stderr.write("\n");
+        barShown = false;
+      }
+      consola.info(part.status);
+    }
+    lastStatus = part.status;
+  }
+  if (barShown) {
+    process.stderr.write("\n");
+  }
+  consola.success(`Pulled ${model}`);
+}
+
+const ollamaProvider = {
+  label: "local Ollama",
+  defaultModel: DEFAULT_OLLAMA_MODEL,
+  // The Ollama client always connects to 127.0.0.1
+  isRemote() {
+    return false;
+  },
+  async generate(prompt, args, { onToken, signal } = {}) {
+    // The client only tracks streams once the response headers arrive, so
+    // hand it a fetch that also honours our signal. That way a cold model
+    // load or a timed out attempt is cancelled rather than left running.
+    const ollama = new Ollama({
+      fetch: (url, init = {}) =>
+        fetch(url, {
+          ...init,
+          signal: signal
+            ? AbortSignal.any([init.signal, signal].filter(Boolean))
+            : init.signal,
+        }),
+    });
+    const model = args.model || DEFAULT_OLLAMA_MODEL;
+    const stream = Array.isArray(prompt)
+      ? await ollama.chat({ model, messages: prompt, stream: true })
+      : await ollama.generate({ model, prompt: prompt, stream: true });
+    if (signal?.aborted) {
+      stream.abort();
+      throw signal.reason;
+    }
+    const onAbort = () => stream.abort();
+    signal?.addEventListener("abort", onAbort);
+
+    try {
+      let text = "";
+      for await (const part of stream) {
+        if (signal?.aborted) {
+          break;
+        }
+        const token = part.message ? part.message.content : part.response;
+        text += token;
+        if (onToken && token) {
+          onToken(token);
+        }
+      }
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      return text;
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+    }
+  },
+  async listModels() {
+    const ollama = new Ollama();
+    const { models } = await ollama.list();
+    return models.map((model) => model.name);
+  },
+  // Check the server is up and the model is pulled, offering to pull it
+  async preflight(args, { interactive } = {}) {
+    let models;
+    try {
+      models = await this.listModels();
+    } catch (error) {
+      throw new Error(
+        `Ollama isn't running at http://127.0.0.1:11434 (${error.message}). Start it with "ollama serve".`
+      );
+    }
+    const model = args.model || DEFAULT_OLLAMA_MODEL;
+    if (
+      models.map(normalizeOllamaModel).includes(normalizeOllamaModel(model))
+    ) {
+      return;
+    }
+    if (!interactive) {
+      throw new Error(
+        `The model "${model}" isn't pulled. Run "ollama pull ${model}" or "commit-assist models pull ${model}".`
+      );
+    }
+    const answer = await getUserInput(
+      `The model "${model}" isn't pulled in Ollama. Pull it now? (Y/n): `
+    );
+    if (answer.trim().toLowerCase().startsWith("n")) {
+      throw new Error(`The model "${model}" isn't pulled.`);
+    }
+    await pullOllamaModel(model);
+  },
+};
+
+const openRouterProvider = {
+  label: "OpenRouter",
+  baseUrl: "https://openrouter.ai/api/v1",
+  defaultModel: "meta-llama/llama-3.2-3b-instruct:free",
+  isRemote() {
+    return true;
+  },
+  getApiKey(args) {
+    return args.apiKey || process.env.OPENROUTER_API_KEY;
+  },
+  async preflight(args) {
+    if (!this.getApiKey(args)) {
+      throw new Error(
+        "OpenRouter API key is required. Use --api-key or set OPENROUTER_API_KEY env var."
+      );
+    }
+  },
+  async generate(prompt, args, { onToken, signal } = {}) {
+    const apiKey = this.getApiKey(args);
+    if (!apiKey) {
+      throw new Error(
+        "OpenRouter API key is required. Use --api-key or set OPENROUTER_API_KEY env var."
+      );
+    }
+
+    // Default to a cheap, fast model if the user didn't specify one
+    // Note: OpenRouter requires "provider/model-name" format usually
+    const targetModel =
+      args.model === "llama3.2:latest"
+        ? "meta-llama/llama-3.2-3b-instruct:free"
+        : args.model;
+
+    return callChatCompletions({
+      baseUrl: this.baseUrl,
+      apiKey,
+      // "HTTP-Referer": "https://github.com/madebygrant/commit-assist", // Optional: OpenRouter asks for this
+      // "X-Title": "Commit Assist Script", // Optional
+      model: targetModel,
+      prompt,
+      label: this.label,
+      debug: args.debug,
+      onToken,
+      signal,
+    });
+  },
+  async listModels(args) {
+    return listChatCompletionsModels({
+      baseUrl: this.baseUrl,
+      apiKey: this.getApiKey(args),
+      label: this.label,
+    });
+  },
+};
+
+// Any server exposing the OpenAI chat completions API (llama.cpp server, vLLM,
+// LM Studio, ...). The API key is optional since local servers rarely need one.
+const openAiCompatibleProvider = {
+  label: "OpenAI-compatible server",
+  optionKeys: ["baseUrl", "headers", "apiKeyEnv"],
+  isRemote(args) {
+    return !isLocalUrl(args.baseUrl);
+  },
+  getOptions(args) {
+    if (!args.baseUrl) {
+      throw new Error(
+        "The openai-compatible provider needs a base URL. Use --base-url or set baseUrl in your config."
+      );
+    }
+    return {
+      baseUrl: args.baseUrl.replace(/\/+$/, ""),
+      apiKey: args.apiKey || process.env[args.apiKeyEnv || DEFAULT_API_KEY_ENV],
+      headers: args.headers || {},
+      label: this.label,
+    };
+  },
+  async generate(prompt, args, { onToken, signal } = {}) {
+    return callChatCompletions({
+      ...this.getOptions(args),
+      model: args.model,
+      prompt,
+      debug: args.debug,
+      onToken,
+      signal,
+    });
+  },
+  async listModels(args) {
+    return listChatCompletionsModels(this.getOptions(args));
+  },
+};
+
+registerProvider("ollama", ollamaProvider);
+registerProvider("openrouter", openRouterProvider);
+registerProvider("openai-compatible", openAiCompatibleProvider);
+
+// Helper function to wait `ms`, cut short when `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Helper function to check whether a failed request is worth retrying:
+// timeouts, dropped connections, and the statuses in RETRYABLE_STATUSES.
+// Bad API keys, unknown models and servers that aren't running are not.
+function isRetryableError(error) {
+  if (error.retryable !== undefined) {
+    return error.retryable;
+  }
+  // Errors from the Ollama client
+  if (error.name === "ResponseError") {
+    return RETRYABLE_STATUSES.includes(error.status_code);
+  }
+  // fetch() network errors, e.g. a connection reset or a stream cut off
+  return (
+    error instanceof TypeError &&
+    ["fetch failed", "terminated"].includes(error.message) &&
+    !FATAL_NETWORK_ERRORS.includes(error.cause?.code)
+  );
+}
+
+// Helper function to describe a failed request for the user
+function describeRequestError(error, label) {
+  if (error.timedOut) {
+    return `${label} didn't answer within ${error.timeout}s. Slow or cold-loading models may need a longer --timeout.`;
+  }
+  const code = error.cause?.code;
+  if (code === "ECONNREFUSED") {
+    return `Couldn't connect to ${label}: nothing is listening at ${
+      error.cause.address || "its address"
+    }${error.cause.port ? `:${error.cause.port}` : ""}. Is the server running?`;
+  }
+  if (FATAL_NETWORK_ERRORS.includes(code)) {
+    return `Couldn't find ${label}'s host (${code}). Check the base URL and your network connection.`;
+  }
+  if (error instanceof TypeError && error.cause) {
+    return `Lost the connection to ${label}: ${error.cause.message || code}`;
+  }
+  if (error.name === "ResponseError") {
+    return `${label} API Error (${error.status_code}): ${error.message}`;
+  }
+  return error.message;
+}
+
+// Helper function to pick how long to wait before the next attempt: the
+// server's Retry-After if it sent one, otherwise exponential backoff with
+// jitter. Resolves with null when the server wants a longer wait than
+// RETRY_AFTER_MAX_MS.
+function getRetryDelay(error, attempt) {
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    return error.retryAfterMs > RETRY_AFTER_MAX_MS ? null : error.retryAfterMs;
+  }
+  const backoff = Math.min(
+    RETRY_BASE_DELAY_MS * 2 ** attempt,
+    RETRY_MAX_DELAY_MS
+  );
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+// Helper function to run one generate() call, failing it after args.timeout
+// seconds. The attempt's request is aborted, but this doesn't wait for the
+// provider to notice before rejecting.
+function generateWithTimeout(provider, prompt, args, options) {
+  const controller = new AbortController();
+  const timeout = args.timeout ?? DEFAULT_TIMEOUT;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      controller.abort();
+      reject(options.signal.reason);
+    };
+    const timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeout}s.`);
+      Object.assign(error, { timedOut: true, timeout, retryable: true });
+      controller.abort();
+      reject(error);
+    }, timeout * 1000);
+    if (options.signal?.aborted) {
+      onAbort();
+    }
+    options.signal?.addEventListener("abort", onAbort, { once: true });
+
+    provider
+      .generate(prompt, args, { ...options, signal: controller.signal })
+      .then(resolve, reject)
+      .finally(() => {
+        clearTimeout(timer);
+        options.signal?.removeEventListener("abort", onAbort);
+      });
+  });
+}
+
+// Helper function to call the provider, retrying timeouts, rate limits and
+// server errors up to args.retries times
+async function generateWithRetries(provider, prompt, args, options) {
+  const label = provider.label || "The provider";
+  const retries = args.retries ?? DEFAULT_RETRIES;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await generateWithTimeout(provider, prompt, args, options);
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      const message = describeRequestError(error, label);
+      const delay = isRetryableError(error)
+        ? getRetryDelay(error, attempt)
+        : null;
+      if (delay === null || attempt >= retries) {
+        const gaveUp =
+          attempt > 0 ? ` (gave up after ${attempt + 1} attempts)` : "";
+        const retryAfter =
+          error.retryAfterMs > RETRY_AFTER_MAX_MS
+            ? ` (try again in ${Math.ceil(error.retryAfterMs / 1000)}s)`
+            : "";
+        throw new Error(`${message}${gaveUp}${retryAfter}`, { cause: error });
+      }
+      options.onRestart?.();
+      consola.warn(
+        `${message}\nRetrying in ${(delay / 1000).toFixed(1)}s (retry ${
+          attempt + 1
+        }/${retries})...`
+      );
+      await sleep(delay, options.signal);
+    }
+  }
+}
+
+// Helper function to send a prompt to the selected provider and return the raw response.
+// `options` takes an onToken callback for streaming, an onRestart callback
+// called before a retry or fallback starts the answer over, and an AbortSignal.
+// When the provider fails, the next one in args.fallback is tried, and it
+// stays in use for the rest of the run.
+async function callModel(prompt, args, options = {}) {
+  let fellBack = false;
+  while (true) {
+    try {
+      const response = await generateWithRetries(
+        getProvider(args.provider),
+        prompt,
+        args,
+        options
+      );
+      if (fellBack) {
+        consola.info(`Answered by ${describeProvider(args)}.`);
+      }
+      return response;
+    } catch (error) {
+      if (options.signal?.aborted || !args.fallback?.length) {
+        throw error;
+      }
+      options.onRestart?.();
+      useNextFallback(args, error.message);
+      // The fallback gets the same check as the main provider, so a broken
+      // one fails with a clear message (or moves further along the chain)
+      await runPreflight(args);
+      fellBack = true;
+    }
+  }
+}
+
+// Helper function to turn a fallback entry into provider options: a provider
+// name, "provider:model" or a { provider, model, baseUrl, ... } object
+function parseFallbackEntry(entry) {
+  if (typeof entry !== "string") {
+    return entry;
+  }
+  const separator = entry.indexOf(":");
+  return separator === -1
+    ? { provider: entry }
+    : {
+        provider: entry.slice(0, separator),
+        model: entry.slice(separator + 1),
+      };
+}
+
+// Helper function to name the provider and model in use
+function describeProvider(args) {
+  const provider = getProvider(args.provider);
+  return `${provider.label || "provider"} (${args.model || "default model"})`;
+}
+
+// Helper function to list the provider options of each fallback in turn. The
+// API key given with -k is only meant for the main provider, so fallbacks
+// read theirs from the environment.
+function getFallbackChain(args) {
+  return (args.fallback || []).map((entry, index) => {
+    const options = parseFallbackEntry(entry);
+    return {
+      ...options,
+      apiKey: undefined,
+      model: options.model ?? getProvider(options.provider).defaultModel,
+      fallback: args.fallback.slice(index + 1),
+    };
+  });
+}
+
+// Helper function to build the args for a fallback entry. The settings of the
+// provider being left behind (its optionKeys) don't carry over, so one
+// server's base URL or headers are never sent to another, and the new
+// provider hasn't been checked yet (see runPreflight).
+function getFallbackArgs(args, entry) {
+  const cleared = Object.fromEntries(
+    (getProvider(args.provider).optionKeys || []).map((key) => [key, undefined])
+  );
+  return { ...args, ...cleared, providerChecked: false, ...entry };
+}
+
+// Switch args over to the next provider in the fallback chain
+function useNextFallback(args, reason) {
+  const failed = describeProvider(args);
+  Object.assign(args, getFallbackArgs(args, getFallbackChain(args)[0]));
+  consola.warn(
+    `${failed} failed: ${reason}\nFalling back to ${describeProvider(args)}...`
+  );
+}
+
+// Check the provider is ready before generating (see ollamaProvider.preflight),
+// moving along the fallback chain while it isn't. args.providerChecked
+// remembers a provider that passed, so it isn't checked again (e.g. for each
+// commit being reworded).
+async function runPreflight(args) {
+  while (!args.providerChecked) {
+    const provider = getProvider(args.provider);
+    try {
+      await provider.preflight?.(args, { interactive: args.interactive });
+      args.providerChecked = true;
+    } catch (error) {
+      if (!args.fallback?.length) {
+        throw new ProviderError(error.message, { cause: error });
+      }
+      useNextFallback(args, error.message);
+    }
+  }
+}
+
+// Get the prompt inputs ready for the model: check the provider (see
+// runPreflight) and summarise a diff that doesn't fit the context window (see
+// prepareDiffForPrompt). The returned function does this the first time it's
+// called (or again after a failure) and resolves with the prepared inputs.
+// Callers only call it once the model is needed, so a rerun answered from the
+// response cache makes no model calls at all.
+function createPromptPreparer(promptInputs, args) {
+  let prepared = null;
+  return (signal = null) => {
+    prepared ??= (async () => {
+      const [gitData, ...rest] = promptInputs;
+      await runPreflight(args);
+      return [await prepareDiffForPrompt(gitData, args, signal), ...rest];
+    })().catch((error) => {
+      prepared = null;
+      throw error;
+    });
+    return prepared;
+  };
+}
+
+// Run `task(signal)`, aborting it on Ctrl-C instead of exiting the process.
+// Resolves with null when cancelled.
+async function runCancellable(task) {
+  const controller = new AbortController();
+  const onSigint = () => controller.abort();
+  process.on("SIGINT", onSigint);
+
+  try {
+    return await task(controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return null;
+    }
+    throw error;
+  } finally {
+    process.off("SIGINT", onSigint);
+  }
+}
+
+// Map step of map-reduce mode: summarise each file's diff separately so the
+// final prompt gets short per-file summaries instead of a diff that doesn't fit
+async function summarizeFileDiffs(gitData, args, signal = null) {
+  const stats = new Map(gitData.files.map((entry) => [entry.file, entry]));
+  const fileBudget =
+    (args.contextWindow - PROMPT_RESERVE_TOKENS) * CHARS_PER_TOKEN;
+  const summaries = [];
+
+  for (const [index, entry] of gitData.fileDiffs.entries()) {
+    const stat = stats.get(entry.file);
+    if (stat && stat.binary) {
+      summaries.push(`### ${formatFileStat(entry.file, stat)}`);
+      continue;
+    }
+
+    consola.start(
+      `Summarising ${entry.file} (${index + 1}/${gitData.fileDiffs.length})...`
+    );
+    const prompt = fillTemplate(FILE_SUMMARY_PROMPT, {
+      file: entry.file,
+      diff: condenseFileDiff(entry.diff, fileBudget),
+    });
+    const summary = await callModel(prompt, args, { signal });
+    summaries.push(
+      `### ${formatFileStat(entry.file, stat)}\n${summary.trim()}`
+    );
+  }
+
+  const gitDiff = `(Per-file summaries - the full diff is too large for the model's context window)\n\n${summaries.join(
+    "\n\n"
+  )}`;
+  return gitDiff.length > args.maxDiffChars
+    ? `${gitDiff.slice(
+        0,
+        args.maxDiffChars
+      )}\n... (Summaries truncated due to size)`
+    : gitDiff;
+}
+
+// Apply map-reduce summarising when enabled and the diff doesn't fit the context window
+async function prepareDiffForPrompt(gitData, args, signal = null) {
+  if (!args.mapReduce || !gitData.exceedsContextWindow) {
+    return gitData;
+  }
+  consola.info(
+    "Diff exceeds the model's context window, summarising each file first..."
+  );
+  const gitDiff = await summarizeFileDiffs(gitData, args, signal);
+  return { ...gitData, gitDiff, truncated: true };
+}
+
+// Helper function to describe the commit format, including the workspace
+// scopes in a monorepo
+function getConventionalText(args, useConventional) {
+  if (!useConventional) {
+    return "Do not use Conventional Commit types (e.g., feat:, fix:, docs:).";
+  }
+  if (!args.scopeInfo) {
+    return "Use the Conventional Commits format (type: scope: subject).";
+  }
+  const { known, changed } = args.scopeInfo;
+  const touched =
+    changed.length > 0
+      ? ` The staged changes touch: ${changed.join(", ")}.`
+      : " Leave the scope out if the change isn't specific to one of them.";
+  return `Use the Conventional Commits format (type(scope): subject). Allowed scopes: ${known.join(
+    ", "
+  )}.${touched}`;
+}
+
+// Helper function to prepare the value of each prompt template placeholder
+function getPromptValues(
+  gitData,
+  args,
+  recentCommits,
+  branchName,
+  gitDiffSummary,
+  userContext = "",
+  useConventional = false
+) {
+  return {
+    gitStagedChanges: gitData.nameStatus ?? gitData.gitStagedChanges,
+    fileChanges:
+      gitData.files?.map(formatFileChange).join("\n") ||
+      gitData.gitStagedChanges,
+    changedSymbols: formatChangedSymbols(gitData.files || []),
+    gitDiff: gitData.gitDiff,
+    userContext,
+    recentCommits: recentCommits || "",
+    branchName: branchName || "",
+    gitDiffSummary: gitDiffSummary || "",
+    ticketID: args.ticketID || "",
+    conventionalText: getConventionalText(args, useConventional),
+    bodyText: args.body
+      ? `Write a subject line, then a blank line, then a body wrapped at ${BODY_WRAP_WIDTH} characters that explains what changed and why (not how). Use short paragraphs or "- " bullet points. If the change breaks existing behaviour, end with a blank line and a "BREAKING CHANGE: <description>" footer. Only add a "Refs: <id>" footer for issues named in the User Context.`
+      : "Write a single subject line only, with no body.",
+    generateText: "Based on the above, write the single best commit message:",
+    styleText: args.styleProfile
+      ? describeStyleProfile(args.styleProfile, useConventional)
+      : DEFAULT_STYLE_TEXT,
+    examples: args.styleExamples?.length
+      ? `\n${args.styleExamples.map((subject) => `- ${subject}`).join("\n")}\n`
+      : useConventional
+      ? `
+- feat(auth): add OAuth2 login support for Google accounts
+- fix: correct user ID validation in registration endpoint
+- refactor: extract shared logic into utility functions
+- docs: update README with setup instructions for new contributors
+- style: reformat codebase with Prettier
+- chore: bump dependencies to latest minor versions
+- test: add unit tests for payment processing module
+- perf: optimize image loading for faster page render
+      `
+      : `
+- Add OAuth2 login support for Google accounts
+- Correct user ID validation in registration endpoint
+- Extract shared logic into utility functions
+- Update README with setup instructions for new contributors
+- Reformat codebase with Prettier
+- Upgrade dependencies to latest minor versions
+- Add unit tests for payment processing module
+- Optimize image loading for faster page render
+`,
+  };
+}
+
+// Helper function to build the prompt from the template and git context
+function buildPrompt(
+  gitData,
+  args,
+  recentCommits,
+  branchName,
+  gitDiffSummary,
+  userContext = "",
+  useConventional = false,
+  promptTemplate = null,
+  candidateCount = 1
+) {
+  const values = getPromptValues(
+    gitData,
+    args,
+    recentCommits,
+    branchName,
+    gitDiffSummary,
+    userContext,
+    useConventional
+  );
+  const candidatesText = `write ${candidateCount} distinct commit messages that each take a different angle or wording. Return them as a numbered list ("1. ", "2. ", ...), one message per item, and nothing else.`;
+  if (candidateCount > 1) {
+    values.generateText = `Based on the above, ${candidatesText}`;
+  }
+  let template;
+  if (promptTemplate) {
+    template = promptTemplate;
+  } else if (args.promptTemplate) {
+    // args.promptTemplate is now a file path
+    template = loadPromptTemplate(args.promptTemplate);
+    validatePromptTemplate(template);
+  } else {
+    template = loadPromptTemplate();
+  }
+  const prompt = fillTemplate(template, values);
+  // A custom template without {generateText} still needs to ask for the list
+  if (candidateCount > 1 && !template.includes("{generateText}")) {
+    return `${prompt}
+
+### CANDIDATES
+Instead of a single message, ${candidatesText}`;
+  }
+  return prompt;
+}
+
+// Helper function to add a list of earlier suggestions the model should not repeat
+function appendAvoidList(prompt, avoid = []) {
+  if (avoid.length === 0) {
+    return prompt;
+  }
+  return `${prompt}
+
+### ALREADY SUGGESTED
+Write something different from these earlier suggestions:
+${avoid.map((message) => `- ${message.split("\n")[0]}`).join("\n")}`;
+}
+
+// Helper function to send the prompt to the provider, streaming the output to
+// the terminal when enabled
+async function requestCompletion(prompt, args, signal = null) {
+  debugLog(
+    args.debug,
+    "Prompt sent to AI:\n",
+    Array.isArray(prompt) ? JSON.stringify(prompt, null, 2) : prompt
+  );
+
+  consola.start(
+    `Connecting to ${getProvider(args.provider).label || "provider"} (${
+      args.model || "default"
+    })...`
+  );
+  const dim = process.stdout.isTTY ? "\x1b[2m" : "";
+  const reset = process.stdout.isTTY ? "\x1b[0m" : "";
+  let streamed = false;
+
+  try {
+    return await callModel(prompt, args, {
+      signal,
+      // Show the model output live, dimmed, while it's being generated. Library
+      // callers can pass their own onToken instead.
+      onToken:
+        args.onToken ||
+        (args.stream
+          ? (token) => {
+              process.stdout.write(`${dim}${token}${reset}`);
+              streamed = true;
+            }
+          : undefined),
+      // A new attempt starts its answer on a fresh line
+      onRestart: () => {
+        if (streamed) {
+          process.stdout.write("\n");
+          streamed = false;
+        }
+      },
+    });
+  } finally {
+    // Ctrl-C can also leave the cursor on the streamed line. Nothing is written
+    // when the output isn't streamed to the terminal, e.g. for library callers.
+    if (streamed || (args.stream && signal && signal.aborted)) {
+      process.stdout.write("\n");
+    }
+  }
+}
+
+// Helper function to pull the commit message out of the raw model response
+function extractCommitMessage(fullResponse, args) {
+  if (args.body) {
+    // Keep the whole response, minus any markdown code fences and wrapping quotes
+    return fullResponse
+      .split("\n")
+      .filter((line) => !line.trim().startsWith("```"))
+      .join("\n")
+      .trim()
+      .replace(/^['"`]+|['"`]+$/g, "");
+  }
+
+  // Only use the first line of the response, strip quotes/markdown, and trim
+  return fullResponse
+    .trim()
+    .split("\n")[0]
+    .replace(/^['"`]+|['"`]+$/g, "")
+    .replace(/\s+/g, " ");
+}
+
+// `options` takes an AbortSignal and a list of earlier suggestions to avoid
+async function generateCommitMessage(
+  gitData,
+  args,
+  recentCommits,
+  branchName,
+  gitDiffSummary,
+  userContext = "",
+  useConventional = false,
+  promptTemplate = null, // New parameter
+  options = {}
+) {
+  const debug = args.debug;
+  const { signal = null, avoid = [] } = options;
+  try {
+    const prompt = appendAvoidList(
+      buildPrompt(
+        gitData,
+        args,
+        recentCommits,
+        branchName,
+        gitDiffSummary,
+        userContext,
+        useConventional,
+        promptTemplate
+      ),
+      avoid
+    );
+    const fullResponse = await requestCompletion(prompt, args, signal);
+
+    const aiMessage = extractCommitMessage(fullResponse, args);
+    const aiSubject = aiMessage.split("\n")[0];
+    // If the message is too generic or empty, warn the user
+    if (
+      !aiSubject ||
+      aiSubject.toLowerCase().includes("commit message") ||
+      aiSubject.length < 5
+    ) {
+      consola.warn(
+        "⚠️  AI returned a generic or empty message. Consider adding more context or editing manually."
+      );
+      debugLog(debug, "AI full response:", fullResponse);
+    }
+    return aiMessage;
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    consola.error("Error generating commit message:", error.message);
+    debugLog(debug, "generateCommitMessage error:", error);
+    throw error;
+  }
+}
+
+// Helper function to parse a numbered list of messages ("1. ...", "2) ...")
+// from a model response, ignoring markdown emphasis, quotes and chatter
+function parseNumberedList(fullResponse) {
+  return fullResponse
+    .split("\n")
+    .map((line) => line.match(/^\s*(?:\d+[.):]|[-*])\s+(.+)$/))
+    .filter(Boolean)
+    .map((match) =>
+      match[1]
+        .replace(/\*\*/g, "")
+        .replace(/^['"`]+|['"`]+$/g, "")
+        .replace(/\s+/g, " ")
+        .trim()
+    )
+    .filter(Boolean);
+}
+
+// Generate `count` distinct candidate messages. Subject-only messages come
+// from one prompt asking for a numbered list; --body messages are sampled one
+// at a time. Either way, missing candidates are topped up with extra samples.
+async function generateCandidates(
+  gitData,
+  args,
+  recentCommits,
+  branchName,
+  gitDiffSummary,
+  userContext,
+  useConventional,
+  promptTemplate,
+  count,
+  options = {}
+) {
+  const { signal = null, avoid = [] } = options;
+  const promptInputs = [
+    gitData,
+    args,
+    recentCommits,
+    branchName,
+    gitDiffSummary,
+    userContext,
+    useConventional,
+    promptTemplate,
+  ];
+  const candidates = [];
+  const isNew = (message) =>
+    message &&
+    ![...avoid, ...candidates].some(
+      (existing) => existing.toLowerCase() === message.toLowerCase()
+    );
+
+  if (!args.body && count > 1) {
+    try {
+      const prompt = appendAvoidList(
+        buildPrompt(...promptInputs, count),
+        avoid
+      );
+      const fullResponse = await requestCompletion(prompt, args, signal);
+      for (const message of parseNumberedList(fullResponse)) {
+        if (candidates.length < count && isNew(message)) {
+          candidates.push(message);
+        }
+      }
+      debugLog(args.debug, `Parsed ${candidates.length} candidates from list`);
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      consola.error("Error generating candidate list:", error.message);
+    }
+  }
+
+  // Top up with individual samples, giving up after a few duplicates in a row
+  let attempts = 0;
+  while (candidates.length < count && attempts < count * 2) {
+    attempts++;
+    const message = await generateCommitMessage(...promptInputs, {
+      signal,
+      avoid: [...avoid, ...candidates],
+    });
+    if (isNew(message)) {
+      candidates.push(message);
+    }
+  }
+
+  return candidates;
+}
+
+// Helper function to split a message into its subject and body
+function splitMessage(message) {
+  const [subject, ...rest] = message.trim().split("\n");
+  return { subject: subject.trim(), body: rest.join("\n").trim() };
+}
+
+// Let the user pick one of the candidates, mix the subject of one with the body
+// of another, or regenerate all or some of them. Resolves with the chosen raw
+// message. `regenerate(count, avoid)` resolves with new candidates, or null if
+// cancelled.
+async function pickCandidate(candidates, args, regenerate) {
+  while (true) {
+    consola.success(`Generated ${candidates.length} candidates:`);
+    candidates.forEach((candidate, index) => {
+      consola.box({
+        title: `${index + 1}`,
+        message: cleanAndFormatMessage(candidate, args),
+      });
+    });
+
+    const answer = await getUserInput(
+      `Pick [1-${candidates.length}]${
+        args.body ? ", (m)ix <subject#> <body#>" : ""
+      }, (r)egenerate [numbers], (q)uit: `
+    );
+    const [command, ...rest] = answer
+      .trim()
+      .toLowerCase()
+      .split(/[\s,]+/);
+    const numbers = rest.map(Number);
+    const isValid = (n) =>
+      Number.isInteger(n) && n >= 1 && n <= candidates.length;
+
+    if (isValid(Number(command))) {
+      return candidates[Number(command) - 1];
+    } else if (
+      command === "m" &&
+      args.body &&
+      numbers.length === 2 &&
+      numbers.every(isValid)
+    ) {
+      const { subject } = splitMessage(candidates[numbers[0] - 1]);
+      const { body } = splitMessage(candidates[numbers[1] - 1]);
+      return body ? `${subject}\n\n${body}` : subject;
+    } else if (command === "r") {
+      // Regenerate only the listed candidates, or all of them when none are given
+      const rejected =
+        numbers.length > 0
+          ? numbers.filter(isValid)
+          : candidates.map((_, i) => i + 1);
+      consola.start(`Regenerating ${rejected.length} candidate(s)...`);
+      const replacements = await regenerate(rejected.length, candidates);
+      if (replacements === null) {
+        consola.warn("Regeneration cancelled.");
+        continue;
+      }
+      // Keep the accepted candidates in place and fill the rejected slots
+      let next = 0;
+      candidates = candidates
+        .map((candidate, i) =>
+          rejected.includes(i + 1) ? replacements[next++] : candidate
+        )
+        .filter(Boolean);
+    } else if (command === "q") {
+      consola.info("Cancelled.");
+      process.exit(0);
+    } else {
+      consola.warn("Please choose a candidate number or an action.");
+    }
+  }
+}
+
+// Helper function to wrap text at the given width without breaking words.
+// Continuation lines are prefixed with `indent`.
+function wrapText(text, width = BODY_WRAP_WIDTH, indent = "") {
+  const words = text.split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = "";
+
+  for (const word of words) {
+    if (line.trim() && line.length + 1 + word.length > width) {
+      lines.push(line);
+      line = `${indent}${word}`;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+
+  return lines.join("\n");
+}
+
+// Helper function to group lines into entries, where a line matching
+// `startsEntry` begins a new entry and any other line continues the previous one
+function groupEntries(lines, startsEntry) {
+  const entries = [];
+  for (const line of lines) {
+    if (startsEntry(line) || entries.length === 0) {
+      entries.push(line);
+    } else {
+      entries[entries.length - 1] += ` ${line}`;
+    }
+  }
+  return entries;
+}
+
+// Helper function to reflow a commit body: paragraphs are kept, prose and
+// bullet points are wrapped, and footers keep one entry per line
+function formatMessageBody(body) {
+  return body
+    .split(/\n\s*\n/)
+    .map((paragraph) =>
+      paragraph
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+    )
+    .filter((lines) => lines.length > 0)
+    .map((lines) => {
+      if (FOOTER_REGEX.test(lines[0])) {
+        return groupEntries(lines, (line) => FOOTER_REGEX.test(line))
+          .map((entry) => wrapText(entry, BODY_WRAP_WIDTH, "  "))
+          .join("\n");
+      }
+      if (/^[-*] /.test(lines[0])) {
+        return groupEntries(lines, (line) => /^[-*] /.test(line))
+          .map((entry) => wrapText(entry, BODY_WRAP_WIDTH, "  "))
+          .join("\n");
+      }
+      return wrapText(lines.join(" "));
+    })
+    .join("\n\n");
+}
+
+// Helper function to clean and format a multi-line (--body) commit message
+function cleanAndFormatFullMessage(message, args) {
+  const [firstLine, ...rest] = message
+    .replace(/^["'`]+|["'`]+$/g, "")
+    .trim()
+    .split("\n");
+
+  let subject = firstLine.trim().replace(/\s+/g, " ");
+  subject = applyConventionalOptions(subject, args);
+
+  const body = formatMessageBody(rest.join("\n"));
+  const fullMessage = body ? `${subject}\n\n${body}` : subject;
+
+  if (args.ticketID && !args.noAppendTicket) {
+    return formatCommitMessage(fullMessage, args.ticketID, args);
+  }
+  return fullMessage;
+}
+
+// Helper function to clean and format a commit message
+function cleanAndFormatMessage(message, args) {
+  if (args.body) {
+    return cleanAndFormatFullMessage(message, args);
+  }
+
+  // Remove quotes from start and end of commit message
+  let cleanMessage = message
+    .replace(/^["'`]+|["'`]+$/g, "")
+    .trim()
+    .replace(/\s+/g, " ");
+
+  // Uncomment this to enforce character limit
+  // if (cleanMessage.length > 90) {
+  //   cleanMessage = cleanMessage.slice(0, 87) + "...";
+  // }
+
+  // Apply custom conventional type and scope if provided
+  cleanMessage = applyConventionalOptions(cleanMessage, args);
+
+  // Add ticket number if provided
+  if (args.ticketID && !args.noAppendTicket) {
+    cleanMessage = formatCommitMessage(cleanMessage, args.ticketID, args);
+  }
+
+  return cleanMessage;
+}
+
+// Helper function to refine commit message interactively. The feedback is sent
+// as a follow-up turn in the session's conversation (which starts with the
+// original prompt and the model's message), and the reply is recorded too.
+async function refineCommitMessage(
+  conversation,
+  feedback,
+  args,
+  signal = null
+) {
+  const turn = {
+    role: "user",
+    content: `Revise the commit message based on this feedback: ${feedback}
+Keep following the original instructions and return only the revised commit message.`,
+  };
+
+  const fullResponse = await requestCompletion(
+    [...conversation, turn],
+    args,
+    signal
+  );
+  const refinedMessage = extractCommitMessage(fullResponse, args);
+  conversation.push(turn, { role: "assistant", content: refinedMessage });
+  return refinedMessage;
+}
+
+// Helper function to edit a message's subject inline, prefilled with the
+// current text. The body (with --body) is kept as it is.
+async function editInline(message) {
+  const { subject, body } = splitMessage(message);
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  const editedSubject = await new Promise((resolve) => {
+    rl.question("Edit: ", (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+    rl.write(subject);
+  });
+
+  if (!editedSubject) {
+    return message;
+  }
+  return body ? `${editedSubject}\n\n${body}` : editedSubject;
+}
+
+// Helper function to tell whether messages should use the Conventional Commits
+// format: -cf/"conventional" when set, otherwise whenever a type is given
+function usesConventionalFormat(args) {
+  return args.useAiConventional !== undefined
+    ? args.useAiConventional
+    : args.conventionalType ?? false;
+}
+
+// Helper function to find the first provider, including fallbacks, that sends
+// prompts off this machine. Providers without an isRemote() method are
+// assumed to.
+function findRemoteProvider(args) {
+  const chain = [args];
+  for (const entry of getFallbackChain(args)) {
+    chain.push(getFallbackArgs(chain[chain.length - 1], entry));
+  }
+  return chain
+    .map((options) => ({ provider: getProvider(options.provider), options }))
+    .find(({ provider, options }) =>
+      provider.isRemote ? provider.isRemote(options) : true
+    )?.provider;
+}
+
+// Helper function to list what was left out of or masked in the diff
+function reportRedactions({ files, secrets }) {
+  const byFile = new Map(
+    files.map((file) => [file, ["sensitive file, diff not sent"]])
+  );
+  for (const { file, kind } of secrets) {
+    byFile.set(file, [...(byFile.get(file) || []), kind]);
+  }
+  const lines = [...byFile].map(([file, kinds]) => {
+    const counts = kinds.reduce(
+      (all, kind) => all.set(kind, (all.get(kind) || 0) + 1),
+      new Map()
+    );
+    const described = [...counts].map(([kind, count]) =>
+      count > 1 ? `${count} x ${kind}` : kind
+    );
+    return `  - ${file}: ${described.join(", ")}`;
+  });
+  consola.warn(`Redacted before sending to the AI:\n${lines.join("\n")}`);
+}
+
+// Report any redactions and, when the diff is going to a remote provider, get
+// the user's go-ahead first. Without a terminal to ask on (args.interactive),
+// refuse unless --allow-redacted was given.
+async function confirmRedactions(redactions, args) {
+  if (
+    !redactions ||
+    (redactions.files.length === 0 && redactions.secrets.length === 0)
+  ) {
+    return;
+  }
+  reportRedactions(redactions);
+  const remote = findRemoteProvider(args);
+  if (args.allowRedacted || !remote) {
+    return;
+  }
+
+  const label = remote.label || "the provider";
+  if (!args.interactive) {
+    throw new SensitiveContentError(
+      `Sensitive content was redacted from the diff, which would be sent to ${label}. Use --allow-redacted to send it anyway.`
+    );
+  }
+  const answer = await getUserInput(
+    `Send the redacted diff to ${label}? (y/N): `
+  );
+  if (answer.trim().toLowerCase() !== "y") {
+    throw new CancelledError(`Cancelled, nothing was sent to ${label}.`);
+  }
+}
+
+// Load the staged changes for the prompt, throwing NoStagedChangesError when
+// nothing is staged. Redacted content needs confirmation (see confirmRedactions()).
+// A diff too big for the context window is summarised later, and only if the
+// model is asked (see createPromptPreparer).
+async function loadStagedChanges(args, git) {
+  const gitData = await getGitData(git, args.debug, args);
+  if (!gitData.hasStaged) {
+    throw new NoStagedChangesError(
+      "No staged changes found. Stage files with 'git add' first."
+    );
+  }
+  // A dry run sends nothing, so there's nothing to confirm
+  if (!args.dryRun) {
+    await confirmRedactions(gitData.redactions, args);
+  }
+  return gitData;
+}
+
+// Helper function to split a subject into its house-style prefix (gitmoji,
+// conventional type/scope, "[area]" or "area:") and the description after it
+function parseSubjectStyle(subject) {
+  let match = subject.match(
+    /^(\p{Extended_Pictographic}\uFE0F?|:[a-z0-9_+-]+:)\s*(.*)$/u
+  );
+  if (match) {
+    return { format: "gitmoji", prefix: match[1], description: match[2] };
+  }
+  match = subject.match(/^(\w+)(?:\(([^)]*)\))?!?:\s+(.*)$/);
+  if (match && CONVENTIONAL_TYPES.includes(match[1].toLowerCase())) {
+    return {
+      format: "conventional",
+      prefix: match[2] || "",
+      description: match[3],
+    };
+  }
+  match = subject.match(/^\[([^\]]+)\]\s*(.*)$/);
+  if (match) {
+    return { format: "bracket", prefix: match[1], description: match[2] };
+  }
+  match = subject.match(/^([\w./-]+):\s+(.*)$/);
+  if (match) {
+    return { format: "prefix", prefix: match[1], description: match[2] };
+  }
+  return { format: "plain", prefix: "", description: subject };
+}
+
+// Helper function to tell which grammatical mood a description starts in
+function getSubjectMood(description) {
+  const firstWord = (description.match(/^[A-Za-z]+/) || [""])[0];
+  if (!firstWord || isImperative(firstWord)) {
+    return "imperative";
+  }
+  return /ed$/i.test(firstWord) ? "past" : "third-person";
+}
+
+// Helper function to count each distinct value in a list, returning
+// [value, count] pairs, most frequent first
+function countByFrequency(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1]);
+}
+
+// Derive the house style from the commit subjects: the usual format and its
+// common prefixes, casing, mood, trailing period and length
+function buildStyleProfile(commits) {
+  const parsed = commits.map(({ subject }) => ({
+    subject,
+    ...parseSubjectStyle(subject),
+  }));
+  const lengths = parsed
+    .map(({ subject }) => subject.length)
+    .sort((a, b) => a - b);
+  const [[format]] = countByFrequency(parsed.map((commit) => commit.format));
+  const descriptions = parsed
+    .map(({ description }) => description)
+    .filter((description) => /^[A-Za-z]/.test(description));
+
+  return {
+    commits: commits.length,
+    format,
+    prefixes: countByFrequency(
+      parsed
+        .filter((commit) => commit.format === format && commit.prefix)
+        .map((commit) => commit.prefix)
+    )
+      .filter(([, count]) => count > 1)
+      .slice(0, 8)
+      .map(([prefix]) => prefix),
+    casing:
+      descriptions.filter((d) => /^[A-Z]/.test(d)).length >=
+      descriptions.length / 2
+        ? "capitalized"
+        : "lowercase",
+    mood:
+      countByFrequency(descriptions.map(getSubjectMood))[0]?.[0] ||
+      "imperative",
+    trailingPeriod:
+      parsed.filter(({ subject }) => subject.endsWith(".")).length >
+      parsed.length / 2,
+    averageLength: Math.round(
+      lengths.reduce((sum, length) => sum + length, 0) / lengths.length
+    ),
+    maxLength: lengths[Math.floor(lengths.length * 0.9)],
+  };
+}
+
+// Helper function to describe the style profile for the {styleText} placeholder.
+// The format is left to {conventionalText} when it uses or forbids conventional commits.
+function describeStyleProfile(profile, useConventional) {
+  const parts = [];
+  const prefixes = profile.prefixes.slice(0, 4);
+  if (!useConventional && profile.format !== "conventional") {
+    const examples = (wrap) =>
+      prefixes.length > 0 ? `, such as ${prefixes.map(wrap).join(", ")}` : "";
+    parts.push(
+      {
+        gitmoji: `start with a gitmoji${examples((p) => p)}`,
+        bracket: `start with an "[area]" prefix${examples((p) => `[${p}]`)}`,
+        prefix: `start with an "area: " prefix${examples((p) => `${p}:`)}`,
+        plain: "no prefix before the description",
+      }[profile.format]
+    );
+  }
+  parts.push(
+    profile.casing === "capitalized"
+      ? "start the description with a capital letter"
+      : "start the description with a lowercase letter",
+    {
+      imperative:
+        'use the **imperative mood** (e.g., "Add feature", NOT "Added feature" or "Adds feature")',
+      past: 'use the **past tense** (e.g., "Added feature", NOT "Add feature")',
+      "third-person":
+        'use the **third person** (e.g., "Adds feature", NOT "Add feature")',
+    }[profile.mood],
+    profile.trailingPeriod ? "end with a period" : "no trailing period",
+    `aim for about ${profile.averageLength} characters`
+  );
+  return `Match this repository's commit style: ${parts.join("; ")}.`;
+}
+
+// Fetch the commit subjects and files used to learn the style, reading them
+// from .git/commit-assist/style.json while HEAD hasn't moved
+async function getStyleHistory(git, debug) {
+  let head;
+  let cachePath = "";
+  try {
+    head = (await git(["rev-parse", "--verify", "-q", "HEAD"])).trim();
+    const stateDir = await getStateDir(git);
+    cachePath = stateDir ? path.join(stateDir, "style.json") : "";
+  } catch (err) {
+    debugLog(debug, "Could not read the commit history:", err);
+    return null;
+  }
+
+  try {
+    const cached = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    if (cached.version === STYLE_CACHE_VERSION && cached.head === head) {
+      return cached;
+    }
+  } catch (e) {
+    // No cache yet, or an unreadable one: rebuild it
+  }
+
+  const stdout = await git([
+    "log",
+    "-n",
+    String(STYLE_HISTORY_SIZE),
+    "--no-merges",
+    "--name-only",
+    "--format=%x1e%H%x1f%s",
+  ]);
+  const commits = stdout
+    .split("\x1e")
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [header, ...files] = record.split("\n");
+      const [sha, subject] = header.split("\x1f");
+      return { sha, subject, files: files.filter(Boolean).slice(0, 20) };
+    })
+    .filter(({ subject }) => subject && !STYLE_SKIPPED_SUBJECTS.test(subject));
+  const history = {
+    version: STYLE_CACHE_VERSION,
+    head,
+    commits,
+    profile:
+      commits.length >= STYLE_MIN_COMMITS ? buildStyleProfile(commits) : null,
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify(history));
+  } catch (err) {
+    debugLog(debug, "Could not cache the commit style:", err);
+  }
+  return history;
+}
+
+// Helper function to score how close a past commit's files are to the staged
+// ones: the number of leading path segments each staged file shares with them
+function scoreCommitSimilarity(commitFiles, stagedFiles) {
+  const split = (file) => file.split("/");
+  const commitPaths = commitFiles.map(split);
+  return stagedFiles.reduce((total, file) => {
+    const parts = split(file);
+    const best = commitPaths.reduce((max, commitPath) => {
+      let shared = 0;
+      while (shared < parts.length && parts[shared] === commitPath[shared]) {
+        shared++;
+      }
+      return Math.max(max, shared);
+    }, 0);
+    return total + best;
+  }, 0);
+}
+
+// Pick the example commits for the prompt: the ones that touched the closest
+// files, topped up with the most recent. Only commits that match the
+// conventional setting are used, so the examples don't contradict it.
+function pickStyleExamples(commits, stagedFiles, useConventional, excludeSha) {
+  const candidates = commits
+    .filter(({ sha }) => !excludeSha || !sha.startsWith(excludeSha))
+    .filter(
+      ({ subject }) =>
+        (parseSubjectStyle(subject).format === "conventional") ===
+        Boolean(useConventional)
+    )
+    .map((commit, index) => ({
+      commit,
+      index,
+      score: scoreCommitSimilarity(commit.files, stagedFiles),
+    }));
+  // Sort by score, keeping the history order (newest first) for ties
+  return candidates
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, STYLE_EXAMPLE_COUNT)
+    .map(({ commit }) => commit.subject);
+}
+
+// Learn the house style from history for the prompt: sets args.styleProfile
+// and args.styleExamples. A history that doesn't use the imperative mood also
+// turns off that rule, unless the rules were configured.
+async function applyStyleProfile(args, gitData, git) {
+  const history = await getStyleHistory(git, args.debug);
+  if (!history || !history.profile) {
+    debugLog(args.debug, "Not enough history to learn the commit style.");
+    return;
+  }
+  const useConventional = usesConventionalFormat(args);
+  args.styleProfile = history.profile;
+  const examples = pickStyleExamples(
+    history.commits,
+    gitData.gitStagedChanges.split("\n").filter(Boolean),
+    useConventional,
+    args.rev
+  );
+  // Too few to show the style; the built-in examples do better
+  args.styleExamples = examples.length >= 3 ? examples : [];
+  if (
+    history.profile.mood !== "imperative" &&
+    !args.configSources?.rules &&
+    args.rules.imperative
+  ) {
+    args.rules = { ...args.rules, imperative: false };
+    consola.info(
+      `Most of this repository's commit subjects aren't in the imperative mood, so that check is off. Set "rules" in a config file to keep it.`
+    );
+  }
+  debugLog(
+    args.debug,
+    "Style profile:",
+    JSON.stringify(history.profile),
+    "\nExamples:",
+    args.styleExamples
+  );
+}
+
+// Helper function to find the directory commit-assist keeps its state for
+// this repository in, .git/commit-assist
+async function getStateDir(git) {
+  const gitDir = (await git(["rev-parse", "--absolute-git-dir"])).trim();
+  return gitDir ? path.join(gitDir, "commit-assist") : "";
+}
+
+// Helper function to hash text for the response cache and history
+function hashText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Helper function to identify the staged changes in the history
+function getDiffHash(gitData) {
+  return hashText(
+    `${gitData.gitStagedChanges}\n${gitData.rawDiff || gitData.gitDiff}`
+  ).slice(0, 16);
+}
+
+// Helper function to name the provider for results and the history
+function getProviderName(args) {
+  return typeof args.provider === "object"
+    ? args.provider.label || "custom"
+    : args.provider;
+}
+
+// Helper function to build the response cache key from everything that shapes
+// the model's answer: the staged diff, the prompt template, the other prompt
+// values (context, history, options), the provider and the model
+function getResponseCacheKey(promptInputs, args) {
+  const [gitData, , , , , , , promptTemplate] = promptInputs;
+  // The diff in the prompt may be the map-reduce summaries, which vary
+  const { gitDiff, ...values } = getPromptValues(...promptInputs);
+  return hashText(
+    JSON.stringify({
+      version: RESPONSE_CACHE_VERSION,
+      diff: gitData.rawDiff || gitDiff,
+      template: promptTemplate,
+      values,
+      provider: getProviderName(args),
+      model: args.model,
+      baseUrl: args.baseUrl,
+      candidates: args.candidates,
+    })
+  );
+}
+
+// Helper function to read the cached responses, newest first
+function readResponseCache(stateDir) {
+  try {
+    const cache = JSON.parse(
+      fs.readFileSync(path.join(stateDir, "cache.json"), "utf8")
+    );
+    return cache.version === RESPONSE_CACHE_VERSION ? cache.entries : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Helper function to save the messages generated for `key`, or forget them
+// when `messages` is null, keeping the newest RESPONSE_CACHE_SIZE entries
+function writeResponseCache(args, key, messages) {
+  if (!args.cache || !args.stateDir) {
+    return;
+  }
+  const entries = readResponseCache(args.stateDir).filter(
+    (entry) => entry.key !== key
+  );
+  if (messages) {
+    entries.unshift({ key, messages, date: new Date().toISOString() });
+  }
+  try {
+    fs.mkdirSync(args.stateDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(args.stateDir, "cache.json"),
+      JSON.stringify({
+        version: RESPONSE_CACHE_VERSION,
+        entries: entries.slice(0, RESPONSE_CACHE_SIZE),
+      })
+    );
+  } catch (err) {
+    debugLog(args.debug, "Could not cache the response:", err);
+  }
+}
+
+// Helper function to look up the messages cached for `key`
+function findCachedMessages(args, key) {
+  if (!args.cache || !args.stateDir) {
+    return null;
+  }
+  const entry = readResponseCache(args.stateDir).find(
+    (cached) => cached.key === key
+  );
+  return entry ? entry.messages : null;
+}
+
+// Helper function to use the messages cached for `key`, if there are any
+function getCachedMessages(args, key) {
+  const messages = findCachedMessages(args, key);
+  if (!messages) {
+    return null;
+  }
+  consola.info(
+    "Using the cached message for these changes (--no-cache to ask the model again)."
+  );
+  return messages;
+}
+
+// Helper function to read the history, oldest first, skipping damaged lines
+function readHistory(stateDir) {
+  let lines;
+  try {
+    lines = fs
+      .readFileSync(path.join(stateDir, HISTORY_FILE), "utf8")
+      .split("\n");
+  } catch (e) {
+    return [];
+  }
+  return lines.flatMap((line) => {
+    try {
+      return line ? [JSON.parse(line)] : [];
+    } catch (e) {
+      return [];
+    }
+  });
+}
+
+// Record a message in the history as "generated", "accepted" or "rejected"
+function recordHistory(args, gitData, status, message) {
+  if (!args.stateDir || !message) {
+    return;
+  }
+  const entry = {
+    date: new Date().toISOString(),
+    status,
+    message,
+    provider: getProviderName(args),
+    model: args.model,
+    diff: getDiffHash(gitData),
+  };
+  try {
+    fs.mkdirSync(args.stateDir, { recursive: true });
+    fs.appendFileSync(
+      path.join(args.stateDir, HISTORY_FILE),
+      `${JSON.stringify(entry)}\n`
+    );
+  } catch (err) {
+    debugLog(args.debug, "Could not record the history:", err);
+  }
+}
+
+// Helper function to list the messages rejected for these staged changes,
+// most recent last, so a regenerated message doesn't repeat them
+function getRejectedMessages(args, gitData) {
+  if (!args.stateDir) {
+    return [];
+  }
+  const diff = getDiffHash(gitData);
+  const rejected = readHistory(args.stateDir)
+    .filter((entry) => entry.status === "rejected" && entry.diff === diff)
+    .map((entry) => entry.message);
+  return [...new Set(rejected)].slice(-HISTORY_AVOID_COUNT);
+}
+
+// The history command: list the latest messages, or delete the history and
+// the response cache with "history clear"
+async function runHistoryCommand(args) {
+  const [, action] = args.positionals;
+  const stateDir = await getStateDir(createGitRunner());
+  if (action === "clear") {
+    for (const file of [HISTORY_FILE, "cache.json"]) {
+      fs.rmSync(path.join(stateDir, file), { force: true });
+    }
+    consola.success("Cleared the history and the cached responses.");
+    process.exit(0);
+  }
+  const count = action === undefined ? HISTORY_LIST_COUNT : Number(action);
+  if (!(Number.isInteger(count) && count > 0)) {
+    throw new ConfigError(
+      `Unknown history command: ${action}. Use a number of entries or clear.`
+    );
+  }
+
+  consola.options.stdout = process.stderr;
+  const entries = readHistory(stateDir).slice(-count).reverse();
+  if (args.json) {
+    return writeOutputAndExit(JSON.stringify(entries, null, 2), 0);
+  }
+  if (entries.length === 0) {
+    consola.info("No history yet.");
+    process.exit(0);
+  }
+  const lines = entries.map((entry) => {
+    const [subject, ...body] = entry.message.split("\n");
+    const date = entry.date.slice(0, 16).replace("T", " ");
+    return `${date}  ${entry.status.padEnd(9)}  ${subject}${
+      body.some((line) => line.trim()) ? " (+ body)" : ""
+    }`;
+  });
+  return writeOutputAndExit(lines.join("\n"), 0);
+}
+
+// Gather the rest of the prompt context (recent commits, branch, ticket,
+// scopes, style and template), returning the arguments for buildPrompt()
+async function getPromptInputs(gitData, args, git, context = "") {
+  const [commits, branchName] = await Promise.all([
+    getRecentCommits(git, args.debug, args.rev),
+    getBranchName(git, args.debug),
+  ]);
+  const gitDiffSummary = summarizeDiff(gitData.files, gitData.rawDiff);
+  try {
+    args.stateDir = await getStateDir(git);
+  } catch (err) {
+    debugLog(args.debug, "Could not find the git directory:", err);
+  }
+  applyBranchTicket(args, branchName);
+  await applyScopeInference(args, gitData, git);
+  if (args.learnStyle) {
+    await applyStyleProfile(args, gitData, git);
+  }
+
+  // The diff was redacted in getGitData(), but commit subjects and the
+  // user's context can hold tokens too
+  const examples = args.styleExamples || [];
+  const [recentCommits, userContext, ...maskedExamples] = redactPromptTexts(
+    [commits, context, ...examples],
+    args
+  );
+  if (args.styleExamples) {
+    args.styleExamples = maskedExamples;
+  }
+
+  let promptTemplate;
+  if (args.promptTemplate) {
+    promptTemplate = loadPromptTemplate(args.promptTemplate);
+    validatePromptTemplate(promptTemplate);
+    if (args.body && !promptTemplate.includes("{bodyText}")) {
+      consola.warn(
+        "The prompt template has no {bodyText} placeholder, so the model isn't asked to write a body for --body."
+      );
+    }
+  } else {
+    promptTemplate = loadPromptTemplate();
+  }
+
+  return [
+    gitData,
+    args,
+    recentCommits,
+    branchName,
+    gitDiffSummary,
+    userContext,
+    usesConventionalFormat(args),
+    promptTemplate,
+  ];
+}
+
+// Generate a message without any prompting, let the model fix rule
+// violations, and describe the result. With --candidates, the first candidate
+// is the message and all of them are listed. Used by the library API, the git
+// hook and --print/--json.
+async function generateResult(promptInputs, args, signal = null) {
+  const [gitData, , , , , , useConventional] = promptInputs;
+  const cacheKey = getResponseCacheKey(promptInputs, args);
+  const prepare = createPromptPreparer(promptInputs, args);
+  let generated = getCachedMessages(args, cacheKey);
+  try {
+    if (!generated) {
+      const inputs = await prepare(signal);
+      generated =
+        args.candidates > 1
+          ? await generateCandidates(...inputs, args.candidates, {
+              signal,
+            })
+          : [await generateCommitMessage(...inputs, { signal })];
+      if (generated[0]) {
+        writeResponseCache(args, cacheKey, generated);
+      }
+    }
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw new CancelledError("Generation cancelled.", { cause: error });
+    }
+    // The provider check's errors already say what's wrong
+    if (error instanceof ProviderError) {
+      throw error;
+    }
+    throw new ProviderError(
+      `Could not generate a commit message: ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  const [first, ...others] = generated;
+  if (!first) {
+    throw new ProviderError("The AI returned an empty message.");
+  }
+  // The original prompt opens the conversation once a fix needs the model
+  const conversation = [{ role: "assistant", content: first }];
+  let fixed;
+  try {
+    fixed = await enforceCommitRules(
+      first,
+      conversation,
+      args,
+      useConventional,
+      {
+        signal,
+        beforeFix: async () => {
+          conversation.unshift({
+            role: "user",
+            content: buildPrompt(...(await prepare(signal))),
+          });
+        },
+      }
+    );
+  } catch (error) {
+    // Only an abort gets this far, other errors keep the message as it is
+    throw new CancelledError("Generation cancelled.", { cause: error });
+  }
+  const message = cleanAndFormatMessage(fixed, args);
+  const { subject, body } = splitMessage(message);
+
+  const result = {
+    message,
+    subject,
+    body,
+    model: args.model,
+    provider: getProviderName(args),
+    ticket: args.ticketID || null,
+    truncated: Boolean(gitData.truncated),
+    omittedFiles: gitData.omittedFiles || [],
+    violations: validateCommitMessage(
+      message,
+      args.rules,
+      useConventional,
+      args.ticketPattern
+    ),
+  };
+  if (others.length > 0) {
+    result.candidates = [
+      message,
+      ...others.map((other) => cleanAndFormatMessage(other, args)),
+    ];
+  }
+  return result;
+}
+
+// consola log types that map to something other than logger.info
+const LOGGER_METHODS = {
+  warn: "warn",
+  error: "error",
+  fatal: "error",
+  fail: "error",
+  debug: "debug",
+  trace: "debug",
+  verbose: "debug",
+};
+
+// Helper function to route the library's logging to `logger` (an object with
+// info, warn, error and debug methods, such as console), or to silence it
+function configureLogging({ quiet, logger }) {
+  const reporters = logger
+    ? [
+        {
+          log: ({ type, args }) => {
+            const method = logger[LOGGER_METHODS[type]]
+              ? LOGGER_METHODS[type]
+              : "info";
+            logger[method](format(...args));
+          },
+        },
+      ]
+    : DEFAULT_REPORTERS;
+  for (const instance of [consola, debugLogger]) {
+    instance.setReporters(reporters);
+    instance.level = quiet ? LogLevels.silent : DEFAULT_LOG_LEVEL;
+  }
+}
+
+// Library API: generate a commit message for the changes staged in `cwd`.
+// Takes the config file options (model, conventional, type, body,
+// ticketPattern, rules, ...) plus:
+//   cwd         repository directory (default: the current directory)
+//   context     extra context for the model
+//   ticketID    ticket to add (default: taken from the branch name)
+//   apiKey      API key for the provider
+//   provider    a registered provider name, or an object with generate()
+//   git         git runner, `(args) => Promise<stdout>` (see createGitRunner)
+//   readConfig  read the user/repo config files and commitlint rules (default: true)
+//   signal      AbortSignal to cancel generation
+//   onToken     called with each token as the model streams its output
+//   logger      receives the progress and warning logs (e.g. console)
+//   quiet       drop the logs (default: true unless a logger is given)
+// Resolves with { message, subject, body, model, provider, ticket, truncated,
+// omittedFiles, violations }. Throws CommitAssistError subclasses instead of
+// exiting the process.
+async function generate(options = {}) {
+  const {
+    cwd = process.cwd(),
+    git = createGitRunner(cwd),
+    context = "",
+    ticketID,
+    apiKey,
+    debug,
+    readConfig = true,
+    signal = null,
+    onToken,
+    logger,
+    quiet = !logger,
+    ...config
+  } = options;
+
+  configureLogging({ quiet, logger });
+  if (config.promptTemplate && !path.isAbsolute(config.promptTemplate)) {
+    config.promptTemplate = path.resolve(cwd, config.promptTemplate);
+  }
+  const args = await resolveConfig(
+    {
+      ...normalizeConfig(config, "generate() options"),
+      ticketID,
+      apiKey,
+      debug,
+      positionals: [],
+    },
+    git,
+    { readConfig, source: "generate() options" }
+  );
+  args.stream = false;
+  args.onToken = onToken;
+
+  const gitData = await loadStagedChanges(args, git);
+  const promptInputs = await getPromptInputs(gitData, args, git, context);
+  return generateResult(promptInputs, args, signal);
+}
+
+// Resolve the hooks directory, honouring core.hooksPath
+async function getHooksDir() {
+  const { stdout } = await execAsync("git rev-parse --git-path hooks");
+  return path.resolve(process.cwd(), stdout.trim());
+}
+
+// Build the prepare-commit-msg hook script. It prefers a commit-assist on the
+// PATH and falls back to this script's location, and always exits 0 so a
+// failure in commit-assist can never block a commit.
+function buildHookScript() {
+  const scriptPath = path.resolve(__filename);
+  return `#!/bin/sh
+${HOOK_MARKER}
+# Remove with: commit-assist hook uninstall
+if command -v commit-assist >/dev/null 2>&1; then
+  commit-assist hook run "$@" || true
+elif [ -f "${scriptPath}" ]; then
+  node "${scriptPath}" hook run "$@" || true
+fi
+exit 0
+`;
+}
+
+// Helper function to check whether a hook file was written by commit-assist
+function isCommitAssistHook(hookPath) {
+  return (
+    fs.existsSync(hookPath) &&
+    fs.readFileSync(hookPath, "utf8").includes(HOOK_MARKER)
+  );
+}
+
+async function installHook(args) {
+  const hooksDir = await getHooksDir();
+  const hookPath = path.join(hooksDir, "prepare-commit-msg");
+
+  // e.g. core.hooksPath set to /dev/null to turn hooks off
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+    consola.error(
+      `The hooks directory ${hooksDir} is not a directory. Check core.hooksPath (git config core.hooksPath).`
+    );
+    process.exit(1);
+  }
+
+  if (fs.existsSync(hookPath) && !isCommitAssistHook(hookPath)) {
+    if (!args.force) {
+      consola.error(`A prepare-commit-msg hook already exists at ${hookPath}`);
+      consola.info("Use --force to replace it (a backup will be kept).");
+      process.exit(1);
+    }
+    fs.copyFileSync(hookPath, `${hookPath}.backup`);
+    consola.info(`Existing hook backed up to ${hookPath}.backup`);
+  }
+
+  try {
+    fs.mkdirSync(hooksDir, { recursive: true });
+    fs.writeFileSync(hookPath, buildHookScript(), { mode: 0o755 });
+    fs.chmodSync(hookPath, 0o755);
+  } catch (error) {
+    consola.error(
+      `Could not install the hook in ${hooksDir}: ${error.message}`
+    );
+    process.exit(1);
+  }
+  consola.success(`Installed prepare-commit-msg hook at ${hookPath}`);
+}
+
+async function uninstallHook() {
+  const hooksDir = await getHooksDir();
+  const hookPath = path.join(hooksDir, "prepare-commit-msg");
+
+  if (!fs.existsSync(hookPath)) {
+    consola.info("No prepare-commit-msg hook installed.");
+    return;
+  }
+  if (!isCommitAssistHook(hookPath)) {
+    consola.error(
+      `The prepare-commit-msg hook at ${hookPath} was not installed by commit-assist. Leaving it in place.`
+    );
+    process.exit(1);
+  }
+
+  fs.rmSync(hookPath);
+  if (fs.existsSync(`${hookPath}.backup`)) {
+    fs.renameSync(`${hookPath}.backup`, hookPath);
+    consola.info("Restored the previous prepare-commit-msg hook from backup.");
+  }
+  consola.success(`Removed prepare-commit-msg hook from ${hooksDir}`);
+}
+
+async function hookStatus() {
+  const hooksDir = await getHooksDir();
+  const hookPath = path.join(hooksDir, "prepare-commit-msg");
+
+  if (isCommitAssistHook(hookPath)) {
+    consola.success(`Installed: ${hookPath}`);
+  } else if (fs.existsSync(hookPath)) {
+    consola.warn(
+      `Not installed. A different prepare-commit-msg hook exists at ${hookPath}`
+    );
+  } else {
+    consola.info(`Not installed (hooks directory: ${hooksDir})`);
+  }
+}
+
+// Non-interactive hook mode: called by git as
+// `prepare-commit-msg <file> [<source> [<sha>]]`
+async function runPrepareCommitMsgHook(args) {
+  const [, , messageFile, source] = args.positionals;
+  const debug = args.debug;
+
+  // Merges, squashes, -m/-F messages and amends (-c/-C/--amend) already have a message
+  if (
+    !messageFile ||
+    ["merge", "squash", "message", "commit"].includes(source)
+  ) {
+    debugLog(debug, `Skipping hook for commit source: ${source}`);
+    return;
+  }
+
+  // Keep the editor session clean: only warnings and errors from here on
+  if (!debug) {
+    consola.level = 1;
+  }
+  args.stream = false;
+  args.candidates = 1;
+
+  const git = createGitRunner();
+  let gitData;
+  try {
+    gitData = await loadStagedChanges(args, git);
+  } catch (error) {
+    if (error instanceof NoStagedChangesError) {
+      return;
+    }
+    throw error;
+  }
+  const promptInputs = await getPromptInputs(
+    gitData,
+    args,
+    git,
+    args.context || ""
+  );
+
+  let timer;
+  const controller = new AbortController();
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(new Error("Timed out waiting for the model."));
+      controller.abort();
+    }, HOOK_TIMEOUT_MS);
+  });
+
+  try {
+    // Check the provider, generate, then let the model fix any rule
+    // violations, all within the time limit: a provider that never answers
+    // (e.g. a hung Ollama daemon) mustn't hold up the commit
+    const { message } = await Promise.race([
+      generateResult(promptInputs, args, controller.signal),
+      timeout,
+    ]);
+
+    // Keep whatever git put in the file (template, status comments) below the message
+    const existing = fs.readFileSync(messageFile, "utf8");
+    fs.writeFileSync(messageFile, `${message}\n${existing}`);
+    recordHistory(args, gitData, "generated", message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function runHookCommand(args) {
+  const action = args.positionals[1];
+
+  if (action === "install") {
+    await installHook(args);
+  } else if (action === "uninstall") {
+    await uninstallHook();
+  } else if (action === "status") {
+    await hookStatus();
+  } else if (action === "run") {
+    try {
+      await runPrepareCommitMsgHook(args);
+    } catch (error) {
+      // Never block the commit, the user can still write the message themselves
+      consola.warn(
+        `commit-assist could not generate a message: ${error.message}`
+      );
     }
+  } else {
+    consola.error(
+      `Unknown hook command: ${
+        action || "(none)"
+      }. Use install, uninstall or status.`
+    );
+    process.exit(1);
+  }
+}
 
-    return {
-      gitStagedChanges: statusOutput.trim(), // Keep full file list for context
-      gitDiff: gitDiff,
-      hasStaged: true,
-    };
+// Fetch the staged diff in a form `git apply` accepts: binary patches included,
+// standard a/ b/ prefixes whatever the user's diff config says
+async function getStagedPatch(git, debug) {
+  try {
+    return await git([
+      "-c",
+      "diff.noprefix=false",
+      "-c",
+      "diff.mnemonicPrefix=false",
+      "diff",
+      "--cached",
+      "--binary",
+      "--no-color",
+      "--no-ext-diff",
+    ]);
+  } catch (err) {
+    debugLog(debug, "Error in getStagedPatch:", err);
+    throw new GitError(
+      "Could not read the staged changes. Please run this inside a git repo.",
+      { cause: err }
+    );
+  }
+}
+
+// Helper function to break the staged patch into the units the model groups:
+// one per file, or one per hunk with --hunks. Binary files and renames or mode
+// changes without hunks are always a single unit.
+function splitPatchIntoUnits(patch, hunks = false) {
+  const units = [];
+  // Split by hand rather than with splitDiffByFile, which trims the blank line
+  // that ends a binary patch
+  for (const chunk of patch.split(/^(?=diff --git )/m)) {
+    const match = chunk.match(/^diff --git a\/(.+?) b\/(.+)$/m);
+    if (!match) {
+      continue;
+    }
+    const file = match[2];
+    const [header, ...fileHunks] = chunk.split(/^(?=@@ )/m);
+    if (!hunks || fileHunks.length <= 1) {
+      units.push({ file, header, hunks: fileHunks, label: file });
+      continue;
+    }
+    fileHunks.forEach((hunk, index) => {
+      units.push({
+        file,
+        header,
+        hunks: [hunk],
+        label: `${file} (hunk ${index + 1}/${fileHunks.length})`,
+      });
+    });
+  }
+  return units;
+}
+
+// Helper function to build a patch for a set of units, with each file's header
+// written once and its hunks kept in their original order
+function buildUnitsPatch(units) {
+  const files = new Map();
+  for (const unit of units) {
+    if (!files.has(unit.file)) {
+      files.set(unit.file, { header: unit.header, hunks: [] });
+    }
+    files.get(unit.file).hunks.push(...unit.hunks);
+  }
+  return [...files.values()]
+    .map(({ header, hunks }) => `${header}${hunks.join("")}`)
+    .join("");
+}
+
+// Helper function to check whether a unit's content is held back from the AI
+function isSensitiveUnit(unit, args) {
+  return args.redact && matchesAnyGlob(unit.file, args.sensitivePaths);
+}
+
+// Helper function to collect what describeUnits() redacts from the units
+function getUnitsRedactions(units, args) {
+  const files = new Set();
+  const secrets = [];
+  for (const unit of units) {
+    if (isSensitiveUnit(unit, args)) {
+      files.add(unit.file);
+    } else if (args.redact) {
+      const { kinds } = redactSecrets(buildUnitsPatch([unit]));
+      secrets.push(...kinds.map((kind) => ({ file: unit.file, kind })));
+    }
+  }
+  return { files: [...files], secrets };
+}
+
+// Helper function to describe the numbered units for the split prompt, with
+// each unit's diff condensed to its share of maxDiffChars and secrets masked
+function describeUnits(units, args) {
+  const budget = Math.max(
+    MIN_FILE_DIFF_CHARS,
+    Math.floor(args.maxDiffChars / units.length)
+  );
+  return units
+    .map((unit, index) => {
+      const patch = buildUnitsPatch([unit]).trimEnd();
+      const diff =
+        /^GIT binary patch$/m.test(patch) ||
+        /(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock)/.test(
+          unit.file
+        ) ||
+        matchesAnyGlob(unit.file, args.ignore) ||
+        isSensitiveUnit(unit, args)
+          ? "(diff omitted)"
+          : condenseFileDiff(
+              args.redact ? redactSecrets(patch).text : patch,
+              budget
+            );
+      return `### Change ${index + 1}: ${unit.label}\n${diff}`;
+    })
+    .join("\n\n");
+}
+
+// Helper function to read the groups from the model's JSON reply. Changes that
+// are out of range, repeated, or in a group without a message are left out and
+// reported as missing, so they stay staged.
+function parseSplitGroups(fullResponse, unitCount) {
+  const start = fullResponse.indexOf("[");
+  const end = fullResponse.lastIndexOf("]");
+  let parsed;
+  try {
+    parsed = JSON.parse(fullResponse.slice(start, end + 1));
+  } catch (e) {
+    return null;
+  }
+  if (start === -1 || !Array.isArray(parsed)) {
+    return null;
+  }
+
+  const assigned = new Set();
+  const groups = [];
+  for (const entry of parsed) {
+    const message =
+      entry && typeof entry.message === "string" ? entry.message.trim() : "";
+    const numbers = [
+      ...new Set(
+        (entry && Array.isArray(entry.changes) ? entry.changes : []).map(Number)
+      ),
+    ].filter(
+      (n) => Number.isInteger(n) && n >= 1 && n <= unitCount && !assigned.has(n)
+    );
+    if (!message || numbers.length === 0) {
+      continue;
+    }
+    numbers.forEach((n) => assigned.add(n));
+    groups.push({
+      message,
+      units: numbers.sort((a, b) => a - b).map((n) => n - 1),
+    });
+  }
+
+  const missing = [];
+  for (let n = 1; n <= unitCount; n++) {
+    if (!assigned.has(n)) {
+      missing.push(n - 1);
+    }
+  }
+  return { groups, missing };
+}
+
+// Ask the model to group the units into commits. Resolves with no groups when
+// the reply can't be parsed.
+async function proposeSplit(units, args, userContext, useConventional, signal) {
+  const [context] = redactPromptTexts([userContext], args);
+  const prompt = fillTemplate(SPLIT_PROMPT, {
+    conventionalText: getConventionalText(args, useConventional),
+    messageShape: args.body
+      ? 'Each "message" is a subject line, a blank line and a short body explaining why (use \\n for line breaks).'
+      : 'Each "message" is a single subject line in the imperative mood, under 72 characters.',
+    userContext: context ? `- Additional context: ${context}\n` : "",
+    changes: describeUnits(units, args),
+  });
+  const fullResponse = await requestCompletion(prompt, args, signal);
+  debugLog(args.debug, "Split response:", fullResponse);
+  const proposal = parseSplitGroups(fullResponse, units.length);
+  if (!proposal) {
+    consola.warn("Could not read the proposed groups from the AI's reply.");
+    return { groups: [], missing: [] };
+  }
+  return proposal;
+}
+
+// Fetch the HEAD commit, or "" on an unborn branch
+async function getHeadCommit(git) {
+  try {
+    return (await git(["rev-parse", "--verify", "-q", "HEAD"])).trim();
+  } catch (e) {
+    return "";
+  }
+}
+
+// Put HEAD and the index back to how they were before the split. Commits that
+// were already made stay reachable from the reflog; the working tree is never touched.
+async function restoreSplitState(git, originalHead, originalTree) {
+  if ((await getHeadCommit(git)) !== originalHead) {
+    if (originalHead) {
+      await git(["reset", "-q", "--soft", originalHead]);
+    } else {
+      await git(["update-ref", "-d", "HEAD"]);
+    }
+  }
+  await git(["read-tree", originalTree]);
+}
+
+// Commit each group in turn: reset the index to HEAD, apply the group's patch
+// to the index and commit it. Any failure (or Ctrl-C) undoes the commits made
+// so far and restores the original index. Changes that weren't in any group
+// are left staged.
+async function replaySplit(groups, units, args, git) {
+  const originalTree = (await git(["write-tree"])).trim();
+  const originalHead = await getHeadCommit(git);
+  const patchPath = path.join(
+    os.tmpdir(),
+    `commit-assist-${process.pid}-split.patch`
+  );
+  let interrupted = false;
+  const onSigint = () => {
+    interrupted = true;
+  };
+  process.on("SIGINT", onSigint);
+
+  try {
+    await git(
+      originalHead ? ["read-tree", originalHead] : ["read-tree", "--empty"]
+    );
+    for (const [index, group] of groups.entries()) {
+      if (interrupted) {
+        throw new Error("Interrupted.");
+      }
+      fs.writeFileSync(
+        patchPath,
+        buildUnitsPatch(group.units.map((i) => units[i]))
+      );
+      await git(["apply", "--cached", "--binary", patchPath]);
+
+      consola.start(
+        `Committing ${index + 1}/${groups.length}: ${
+          group.message.split("\n")[0]
+        }`
+      );
+      const exitCode = await runGitCommit(group.message, args);
+      if (exitCode !== 0 || interrupted) {
+        throw new Error(
+          interrupted
+            ? "Interrupted."
+            : `git commit failed (exit code ${exitCode}).`
+        );
+      }
+    }
+    await git(["read-tree", originalTree]);
+    return true;
   } catch (error) {
-    consola.error("Git error:", error.message);
-    debugLog(debug, "getGitData error:", error);
-    throw error;
+    consola.error(`Split failed: ${error.stderr?.trim() || error.message}`);
+    try {
+      await restoreSplitState(git, originalHead, originalTree);
+      consola.info("Restored the original HEAD and staged changes.");
+    } catch (restoreError) {
+      consola.error(
+        `Could not restore the index: ${
+          restoreError.message
+        }\nThe original HEAD was ${
+          originalHead || "(none)"
+        } and the staged tree was ${originalTree}.`
+      );
+    }
+    return false;
+  } finally {
+    process.off("SIGINT", onSigint);
+    fs.rmSync(patchPath, { force: true });
   }
 }
 
-// Helper function to copy text to clipboard (cross-platform)
-async function copyToClipboard(text) {
+// `commit-assist split`: propose groups of staged changes as separate commits,
+// then replay them on confirmation
+async function runSplitCommand(args) {
+  const debug = args.debug;
+  if (args.amend) {
+    consola.error("--amend can't be used with split.");
+    process.exit(1);
+  }
+
+  const useConventional = usesConventionalFormat(args);
+  const git = createGitRunner();
+
+  consola.info("Checking staged changes...");
+  const units = splitPatchIntoUnits(
+    await getStagedPatch(git, debug),
+    args.hunks
+  );
+  if (units.length === 0) {
+    consola.warn("No staged changes found. Stage files with 'git add' first.");
+    process.exit(0);
+  }
+  args.interactive = Boolean(process.stdin.isTTY);
+  await confirmRedactions(getUnitsRedactions(units, args), args);
+  await runPreflight(args);
+
+  let userContext = args.context;
+  if (userContext === undefined) {
+    userContext = await getUserInput(
+      "Enter any additional context (optional): "
+    );
+  }
+
+  const stagedFiles = [...new Set(units.map((unit) => unit.file))];
+  applyBranchTicket(args, await getBranchName(git, debug));
+  await applyScopeInference(
+    args,
+    { gitStagedChanges: stagedFiles.join("\n") },
+    git
+  );
+  const repoRoot = await getRepoRoot(git, debug);
+
+  // Each group gets the scope of its own files, not of the whole change
+  const formatGroupMessage = (group) => {
+    const groupFiles = [...new Set(group.units.map((i) => units[i].file))];
+    const inferredScope = args.scopeInfo
+      ? resolveScope(
+          inferScopes(groupFiles, repoRoot, args.scopeMap).changed,
+          args.multiScope
+        )
+      : undefined;
+    return cleanAndFormatMessage(group.message, { ...args, inferredScope });
+  };
+
+  while (true) {
+    consola.start(
+      `Grouping ${units.length} staged ${args.hunks ? "hunks" : "files"}...`
+    );
+    const proposal = await runCancellable((signal) =>
+      proposeSplit(units, args, userContext, useConventional, signal)
+    );
+
+    let answer = "r";
+    if (!proposal || proposal.groups.length === 0) {
+      consola.warn(
+        proposal === null
+          ? "Generation cancelled."
+          : "The AI didn't propose any groups."
+      );
+      answer = await getUserInput("Action? (r)egenerate, (q)uit: ");
+    } else {
+      const groups = proposal.groups.map((group) => ({
+        ...group,
+        message: formatGroupMessage(group),
+      }));
+      consola.success(`Proposed ${groups.length} commit(s):`);
+      groups.forEach((group, index) => {
+        consola.box({
+          title: `Commit ${index + 1}`,
+          message: `${group.message}\n\n${group.units
+            .map((i) => `  ${units[i].label}`)
+            .join("\n")}`,
+        });
+        reportViolations(group.message, args, useConventional);
+      });
+      if (proposal.missing.length > 0) {
+        consola.warn(
+          `Not in any group, these stay staged:\n${proposal.missing
+            .map((i) => `  ${units[i].label}`)
+            .join("\n")}`
+        );
+      }
+
+      answer = args.autoCopy
+        ? "y"
+        : await getUserInput(
+            `Create these ${groups.length} commit(s)? (y)es, (r)egenerate, (q)uit: `
+          );
+      if (answer.trim().toLowerCase() === "y") {
+        const success = await replaySplit(groups, units, args, git);
+        if (success) {
+          consola.success(`Created ${groups.length} commit(s).`);
+        }
+        process.exit(success ? 0 : 1);
+      }
+    }
+
+    if (answer.trim().toLowerCase() !== "r") {
+      consola.info("Cancelled.");
+      process.exit(0);
+    }
+  }
+}
+
+// Fetch the commits to reword, oldest first: the --rev commit, or every commit
+// in the --range
+async function getRewordCommits(args, git) {
   try {
-    const clipboardy = await import("clipboardy");
-    await clipboardy.default.write(text);
+    if (args.rev) {
+      return [
+        (await git(["rev-parse", "--verify", `${args.rev}^{commit}`])).trim(),
+      ];
+    }
+    return (await git(["rev-list", "--reverse", args.range]))
+      .trim()
+      .split("\n")
+      .filter(Boolean);
+  } catch (err) {
+    throw new GitError(`Unknown commit or range "${args.rev || args.range}".`, {
+      cause: err,
+    });
+  }
+}
+
+// Helper function to check that the commits can be rewritten with a rebase of
+// the current branch: they must be on it, and unless --force, neither pushed
+// nor part of a history with merges. Returns whether merges are involved.
+async function checkRewordable(commits, args, git) {
+  for (const sha of commits) {
+    try {
+      await git(["merge-base", "--is-ancestor", sha, "HEAD"]);
+    } catch (e) {
+      throw new GitError(
+        `Commit ${sha.slice(
+          0,
+          7
+        )} is not on the current branch; check it out first.`
+      );
+    }
+  }
+
+  // Everything from the oldest commit up to HEAD is rewritten, so checking the
+  // oldest one for remote branches covers all of them
+  const [oldest] = commits;
+  const remoteBranches = (await git(["branch", "-r", "--contains", oldest]))
+    .trim()
+    .split("\n")
+    .map((branch) => branch.trim())
+    .filter(Boolean);
+  const merges = (
+    await git(["rev-list", "--merges", "HEAD", `^${oldest}`])
+  ).trim();
+  const oldestIsMerge =
+    (await git(["rev-list", "--parents", "-n", "1", oldest])).trim().split(" ")
+      .length > 2;
+  const hasMerges = Boolean(merges) || oldestIsMerge;
+
+  if (!args.force && remoteBranches.length > 0) {
+    throw new GitError(
+      `Commit ${oldest.slice(0, 7)} has been pushed (${remoteBranches.join(
+        ", "
+      )}); rewording it rewrites published history. Use --force to do it anyway.`
+    );
+  }
+  if (!args.force && hasMerges) {
+    throw new GitError(
+      "The commits to rewrite include merge commits. Use --force to reword them with --rebase-merges."
+    );
+  }
+  return hasMerges;
+}
+
+// Generate a new message for an existing commit from its diff, with its
+// current message as extra context. Empty commits are marked as skipped, and
+// null means generation was cancelled.
+async function generateRewordMessage(sha, args, git) {
+  const commitArgs = { ...args, rev: sha };
+  const gitData = await getGitData(git, args.debug, commitArgs);
+  if (!gitData.hasStaged) {
+    return { sha, skipped: true };
+  }
+  await confirmRedactions(gitData.redactions, args);
+  const oldMessage = (await git(["log", "-1", "--format=%B", sha])).trim();
+  const userContext = [
+    args.context,
+    `The commit's current message, which may be a placeholder: "${oldMessage}"`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+  const promptInputs = await getPromptInputs(
+    gitData,
+    commitArgs,
+    git,
+    userContext
+  );
+  const result = await runCancellable((signal) =>
+    generateResult(promptInputs, commitArgs, signal)
+  );
+  return result && { sha, oldMessage, ...result };
+}
+
+// Reword the commits with a non-interactive rebase: git runs this script as
+// the sequence editor (`commit-assist rebase-todo <file>`), which adds an
+// `exec git commit --amend` after each commit being reworded
+async function applyRewording(rewordings, hasMerges, args, git) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-assist-"));
+  const messages = {};
+  rewordings.forEach(({ sha, message }, index) => {
+    const messagePath = path.join(tempDir, `message-${index}`);
+    fs.writeFileSync(messagePath, `${message}\n`);
+    messages[sha] = messagePath;
+  });
+  const mapPath = path.join(tempDir, "messages.json");
+  fs.writeFileSync(
+    mapPath,
+    JSON.stringify({ messages, noVerify: Boolean(args.noVerify) })
+  );
+
+  const [oldest] = rewordings.map(({ sha }) => sha);
+  const hasParent =
+    (await git(["rev-list", "--parents", "-n", "1", oldest])).trim().split(" ")
+      .length > 1;
+  const rebaseArgs = [
+    "rebase",
+    "-i",
+    "--autostash",
+    ...(hasMerges ? ["--rebase-merges"] : []),
+    hasParent ? `${oldest}~1` : "--root",
+  ];
+
+  consola.start(`Rewording ${rewordings.length} commit(s)...`);
+  try {
+    await execFileAsync("git", rebaseArgs, {
+      env: {
+        ...process.env,
+        GIT_SEQUENCE_EDITOR: `"${process.execPath}" "${__filename}" rebase-todo`,
+        COMMIT_ASSIST_REWORD_MAP: mapPath,
+      },
+      maxBuffer: 10 * 1024 * 1024,
+    });
+    consola.success(
+      `Reworded ${rewordings.length} commit(s). The previous history is in ORIG_HEAD.`
+    );
     return true;
   } catch (error) {
-    consola.error("Clipboard copy failed:", error.message);
+    consola.error(`Rebase failed: ${error.stderr?.trim() || error.message}`);
+    try {
+      await git(["rebase", "--abort"]);
+      consola.info("Rebase aborted, the branch is unchanged.");
+    } catch (e) {
+      // Nothing to abort: the rebase never started
+    }
     return false;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Sequence editor used by applyRewording(): add an amend of the message after
+// each pick (or merge) of a commit being reworded
+function editRebaseTodo(todoPath) {
+  const { messages, noVerify } = JSON.parse(
+    fs.readFileSync(process.env.COMMIT_ASSIST_REWORD_MAP, "utf8")
+  );
+  const todo = fs
+    .readFileSync(todoPath, "utf8")
+    .split("\n")
+    .flatMap((line) => {
+      const match = line.match(/^(?:p|pick|merge\s+-[Cc])\s+([0-9a-f]{4,})\b/);
+      const sha =
+        match &&
+        Object.keys(messages).find((full) => full.startsWith(match[1]));
+      if (!sha) {
+        return [line];
+      }
+      return [
+        line,
+        `exec git commit --amend --allow-empty --quiet${
+          noVerify ? " --no-verify" : ""
+        } -F ${JSON.stringify(messages[sha])}`,
+      ];
+    });
+  fs.writeFileSync(todoPath, todo.join("\n"));
+}
+
+// `--rev`/`--range`: suggest new messages for existing commits, listing old
+// and new messages, and reword them with --apply
+async function runRewordCommand(args) {
+  const git = createGitRunner();
+  const commits = await getRewordCommits(args, git);
+  if (commits.length === 0) {
+    consola.warn(`No commits in range ${args.range}.`);
+    process.exit(0);
+  }
+  // Check before generating so a refused rewrite doesn't cost any model calls
+  const hasMerges = args.apply
+    ? await checkRewordable(commits, args, git)
+    : false;
+  args.stream = false;
+  args.interactive = Boolean(process.stdin.isTTY);
+  await runPreflight(args);
+
+  const rewordings = [];
+  for (const [index, sha] of commits.entries()) {
+    consola.start(
+      `Generating message ${index + 1}/${commits.length} for ${sha.slice(
+        0,
+        7
+      )}...`
+    );
+    const rewording = await generateRewordMessage(sha, args, git);
+    if (rewording === null) {
+      consola.warn(`Generation cancelled.`);
+      process.exit(1);
+    }
+    if (rewording.skipped) {
+      consola.info(`Skipping ${sha.slice(0, 7)}: it has no changes.`);
+      continue;
+    }
+    rewordings.push(rewording);
+  }
+
+  const quote = (message) =>
+    message
+      .split("\n")
+      .map((line) => `    ${line}`)
+      .join("\n");
+  for (const { sha, oldMessage, message, violations } of rewordings) {
+    consola.log(
+      `${sha.slice(0, 7)}\n  old:\n${quote(oldMessage)}\n  new:\n${quote(
+        message
+      )}\n`
+    );
+    if (violations.length > 0) {
+      reportViolations(message, args, usesConventionalFormat(args));
+    }
+  }
+
+  if (!args.apply) {
+    consola.info(
+      "Dry run: nothing was changed. Use --apply to reword the commits."
+    );
+    process.exit(0);
+  }
+  if (rewordings.length === 0) {
+    process.exit(0);
+  }
+  const success = await applyRewording(rewordings, hasMerges, args, git);
+  process.exit(success ? 0 : 1);
+}
+
+// Work out which commits go in the changelog: those in the given range, or
+// since the last tag. When <to> is itself tagged, the changelog is for that
+// tag, so the previous tag is used as the start and the tag as the version.
+async function getChangelogRange(range, args, git) {
+  // A single ref means everything after it
+  const [start = "", to = ""] = (range || "").split("..");
+  const end = to || "HEAD";
+  try {
+    await git(["rev-parse", "--verify", `${end}^{commit}`]);
+    if (start) {
+      await git(["rev-parse", "--verify", `${start}^{commit}`]);
+    }
+  } catch (err) {
+    throw new GitError(`Unknown commit or range "${range || end}".`, {
+      cause: err,
+    });
+  }
+
+  const tagsAtEnd = (
+    await git(["tag", "--points-at", end, "--sort=-v:refname"])
+  )
+    .trim()
+    .split("\n")
+    .filter(Boolean);
+  let since = start;
+  if (!range) {
+    try {
+      since = (
+        await git([
+          "describe",
+          "--tags",
+          "--abbrev=0",
+          tagsAtEnd.length > 0 ? `${end}^` : end,
+        ])
+      ).trim();
+    } catch (e) {
+      // No earlier tag: the changelog covers the whole history
+      since = "";
+    }
+  }
+
+  const version = args.release || tagsAtEnd[0] || "";
+  // Tagged releases are dated by their commit, new ones by today's date
+  const date =
+    !args.release && tagsAtEnd.length > 0
+      ? (await git(["log", "-1", "--format=%cs", end])).trim()
+      : new Date().toISOString().slice(0, 10);
+  return {
+    revisions: since ? `${since}..${end}` : end,
+    label: since ? `${since}..${end}` : `the start of history to ${end}`,
+    version,
+    date,
+  };
+}
+
+// Helper function to parse a commit into its conventional type, scope and
+// description, and any breaking change note. Other commits get the "other" type.
+function parseChangelogCommit(sha, subject, body) {
+  const match = subject.match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/);
+  const breakingFooter = body.match(
+    /(?:^|\n)BREAKING[ -]CHANGE:\s*([\s\S]*?)\s*(?:\n\s*\n|$)/
+  );
+  const type = match ? match[1].toLowerCase() : "other";
+  return {
+    sha,
+    type: CHANGELOG_SECTIONS.some((section) => section.type === type)
+      ? type
+      : "other",
+    scope: match ? match[2] || "" : "",
+    description: match ? match[4] : subject,
+    breaking:
+      (breakingFooter && breakingFooter[1].replace(/\s*\n\s*/g, " ")) ||
+      (match && match[3] ? match[4] : ""),
+  };
+}
+
+// Fetch the non-merge commits in `revisions`, newest first
+async function getChangelogCommits(revisions, git) {
+  const stdout = await git([
+    "log",
+    "--no-merges",
+    "--format=%H%x1f%s%x1f%b%x1e",
+    revisions,
+  ]);
+  return stdout
+    .split("\x1e")
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [sha, subject, body = ""] = record.split("\x1f");
+      return parseChangelogCommit(sha, subject, body);
+    });
+}
+
+// Helper function to format one changelog entry, with its scope in bold
+function formatChangelogEntry(commit, text, options = {}) {
+  const scope = commit.scope ? `**${commit.scope}:** ` : "";
+  const breaking =
+    options.markBreaking && commit.breaking ? "**BREAKING:** " : "";
+  const sha = options.sha ? ` (${commit.sha.slice(0, 7)})` : "";
+  return `- ${breaking}${scope}${text}${sha}`;
+}
+
+// Group the commits into changelog sections. Entries are sorted by scope, so
+// the changes to each package or area are listed together.
+function buildChangelogSections(commits, format) {
+  const byScope = (a, b) => a.scope.localeCompare(b.scope);
+  const breaking = commits.filter((commit) => commit.breaking);
+
+  if (format === "keep-a-changelog") {
+    // Breaking changes are kept even when their type is left out
+    return KEEP_A_CHANGELOG_CATEGORIES.map((category) => ({
+      title: category,
+      entries: commits
+        .filter((commit) => {
+          const section = CHANGELOG_SECTIONS.find(
+            ({ type }) => type === commit.type
+          );
+          return (
+            section.category === category ||
+            (!section.category && commit.breaking && category === "Changed")
+          );
+        })
+        .sort(byScope)
+        .map((commit) =>
+          formatChangelogEntry(commit, commit.description, {
+            markBreaking: true,
+          })
+        ),
+    })).filter((section) => section.entries.length > 0);
+  }
+
+  return [
+    {
+      title: "⚠ BREAKING CHANGES",
+      entries: breaking
+        .sort(byScope)
+        .map((commit) => formatChangelogEntry(commit, commit.breaking)),
+    },
+    ...CHANGELOG_SECTIONS.map(({ type, title }) => ({
+      title,
+      entries: commits
+        .filter((commit) => commit.type === type)
+        .sort(byScope)
+        .map((commit) =>
+          formatChangelogEntry(commit, commit.description, { sha: true })
+        ),
+    })),
+  ].filter((section) => section.entries.length > 0);
+}
+
+// Ask the AI to rewrite each section's entries as release notes, keeping the
+// plain entries for any section it doesn't return a list for
+async function writeReleaseNotes(sections, args, signal) {
+  const withNotes = [];
+  for (const section of sections) {
+    const prompt = fillTemplate(RELEASE_NOTES_PROMPT, {
+      section: section.title,
+      userContext: args.context
+        ? `- Additional context: ${args.context}\n`
+        : "",
+      commits: section.entries.join("\n"),
+    });
+    const fullResponse = await requestCompletion(prompt, args, signal);
+    debugLog(args.debug, `Release notes for ${section.title}:`, fullResponse);
+    const notes = fullResponse
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => /^[-*]\s+/.test(line))
+      .map((line) => line.replace(/^[-*]\s+/, "- "));
+    if (notes.length === 0) {
+      consola.warn(
+        `The AI returned no release notes for "${section.title}"; listing the commits instead.`
+      );
+    }
+    withNotes.push({
+      ...section,
+      entries: notes.length > 0 ? notes : section.entries,
+    });
+  }
+  return withNotes;
+}
+
+// Helper function to render the changelog for one release
+function renderChangelog(sections, { version, date }, format) {
+  let heading;
+  if (format === "keep-a-changelog") {
+    heading = version ? `## [${version}] - ${date}` : "## [Unreleased]";
+  } else {
+    heading = version ? `## ${version} (${date})` : "## Unreleased";
+  }
+  return [
+    heading,
+    ...sections.map(
+      (section) => `### ${section.title}\n\n${section.entries.join("\n")}`
+    ),
+  ].join("\n\n");
+}
+
+// Add the changelog above the latest release in `filePath`, keeping the
+// file's title and introduction first. A section with the same heading (such
+// as an earlier "Unreleased" one) is replaced.
+function prependToChangelog(filePath, changelog, format) {
+  const existing = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, "utf8")
+    : CHANGELOG_HEADERS[format];
+  const heading = changelog.split("\n")[0];
+  const lines = existing.split("\n");
+  const isRelease = (line) => line.startsWith("## ");
+
+  let start = lines.findIndex(isRelease);
+  let end = start;
+  if (start === -1) {
+    start = end = lines.length;
+  } else if (lines[start].trim() === heading) {
+    end = lines.findIndex((line, i) => i > start && isRelease(line));
+    end = end === -1 ? lines.length : end;
+  }
+
+  const before = lines.slice(0, start).join("\n").trimEnd();
+  const after = lines.slice(end).join("\n").trim();
+  fs.writeFileSync(
+    filePath,
+    [before, changelog, after].filter(Boolean).join("\n\n") + "\n"
+  );
+}
+
+// `changelog [<from>..<to>]`: list the commits since the last tag, or in the
+// range, grouped by type and scope, and print them or add them to a file
+async function runChangelogCommand(args) {
+  const git = createGitRunner();
+  const format = args.changelogFormat;
+  if (!args.output) {
+    // Keep stdout for the changelog itself
+    consola.options.stdout = process.stderr;
+  }
+  args.stream = false;
+
+  const release = await getChangelogRange(args.positionals[1], args, git);
+  const commits = await getChangelogCommits(release.revisions, git);
+  if (commits.length === 0) {
+    consola.warn(`No commits found from ${release.label}.`);
+    process.exit(0);
+  }
+  consola.info(`Found ${commits.length} commit(s) from ${release.label}.`);
+
+  let sections = buildChangelogSections(commits, format);
+  if (args.notes) {
+    await runPreflight(args);
+    const withNotes = await runCancellable((signal) =>
+      writeReleaseNotes(sections, args, signal)
+    );
+    if (withNotes === null) {
+      consola.warn("Generation cancelled.");
+      process.exit(1);
+    }
+    sections = withNotes;
+  }
+  const changelog = renderChangelog(sections, release, format);
+
+  if (!args.output) {
+    return writeOutputAndExit(changelog, 0);
+  }
+  prependToChangelog(args.output, changelog, format);
+  consola.success(`Added the changelog to ${args.output}.`);
+  process.exit(0);
+}
+
+// Find the branch a pull request would be merged into: --base, origin's
+// default branch, or a local or remote main/master branch
+async function resolveBaseBranch(args, git) {
+  const candidates = args.baseBranch
+    ? [args.baseBranch]
+    : ["main", "master", "origin/main", "origin/master"];
+  if (!args.baseBranch) {
+    try {
+      candidates.unshift(
+        (
+          await git(["symbolic-ref", "--short", "refs/remotes/origin/HEAD"])
+        ).trim()
+      );
+    } catch (e) {
+      // No remote default branch recorded
+    }
+  }
+  for (const candidate of candidates) {
+    try {
+      await git(["rev-parse", "--verify", "-q", `${candidate}^{commit}`]);
+      return candidate;
+    } catch (e) {
+      // Try the next one
+    }
   }
+  throw new GitError(
+    args.baseBranch
+      ? `Unknown base branch "${args.baseBranch}".`
+      : "Could not find the base branch. Use --base to name it."
+  );
 }
 
-// Helper function to get user input from command line
-async function getUserInput(question) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => {
-      rl.close();
-      resolve(answer);
+// Fetch the branch's commits since the merge base, oldest first, each as its
+// subject followed by its indented body
+async function getBranchCommits(mergeBase, git) {
+  const stdout = await git([
+    "log",
+    "--reverse",
+    "--no-merges",
+    "--format=%h %s%n%b%x1e",
+    `${mergeBase}..HEAD`,
+  ]);
+  return stdout
+    .split("\x1e")
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [subject, ...body] = record.split("\n");
+      return [
+        `- ${subject}`,
+        ...body.filter((line) => line.trim()).map((line) => `  ${line}`),
+      ].join("\n");
     });
-  });
-}
-
-// Helper function to fill template placeholders with values from an object
-function fillTemplate(template, values) {
-  return template.replace(/\{(\w+)\}/g, (match, key) => {
-    return key in values ? values[key] : match;
-  });
 }
 
-// Helper function to load the prompt template from a custom path or default prompt.md
-function loadPromptTemplate(customPath = null) {
-  let templatePath;
-  if (customPath) {
-    templatePath = path.isAbsolute(customPath)
-      ? customPath
-      : path.join(process.cwd(), customPath);
-    // Validate the path exists and is a file
-    if (!fs.existsSync(templatePath) || !fs.statSync(templatePath).isFile()) {
-      consola.error(
-        `Prompt template path does not exist or is not a file: ${templatePath}`
-      );
-      process.exit(1);
+// Helper function to collect the ticket IDs the pull request should link:
+// -tid, the branch name and any mentioned in the commits
+function findPullRequestTickets(branchName, commits, args) {
+  const tickets = new Set();
+  if (args.ticketID) {
+    tickets.add(args.ticketID);
+  }
+  if (args.branchTicket) {
+    const fromBranch = extractTicketFromBranch(branchName, args.ticketPattern);
+    if (fromBranch) {
+      tickets.add(fromBranch);
     }
-  } else {
-    templatePath = path.join(__dirname, "prompt.md");
   }
-  try {
-    return fs.readFileSync(templatePath, "utf8");
-  } catch (e) {
-    consola.error(
-      `Could not load prompt template at ${templatePath}:`,
-      e.message
-    );
-    process.exit(1);
+  const pattern = new RegExp(args.ticketPattern, "g");
+  for (const match of commits.join("\n").matchAll(pattern)) {
+    tickets.add(match[1] ?? match[0]);
   }
+  return [...tickets];
 }
 
-async function callOpenRouter(prompt, model, apiKey, debug) {
-  if (!apiKey) {
-    throw new Error(
-      "OpenRouter API key is required. Use --api-key or set OPENROUTER_API_KEY env var."
-    );
+// Load the repo's pull request template, if it has one
+function loadPullRequestTemplate(repoRoot) {
+  for (const file of PULL_REQUEST_TEMPLATE_FILES) {
+    const templatePath = path.join(repoRoot, file);
+    if (fs.existsSync(templatePath) && fs.statSync(templatePath).isFile()) {
+      return { file, template: fs.readFileSync(templatePath, "utf8").trim() };
+    }
   }
+  return null;
+}
 
-  // Default to a cheap, fast model if the user didn't specify one
-  // Note: OpenRouter requires "provider/model-name" format usually
-  const targetModel =
-    model === "llama3.2:latest"
-      ? "meta-llama/llama-3.2-3b-instruct:free"
-      : model;
+// Helper function to split the model's reply into the title and description
+function parsePullRequest(fullResponse) {
+  const lines = fullResponse
+    .replace(/^```(?:\w+)?\n([\s\S]*?)\n```$/, "$1")
+    .trim()
+    .split("\n");
+  const title = (lines.shift() || "")
+    .replace(/^#+\s*/, "")
+    .replace(/^\**title:?\**:?\s*/i, "")
+    .replace(/^["'`]|["'`]$/g, "")
+    .trim();
+  return { title, description: lines.join("\n").trim() };
+}
 
-  debugLog(debug, `Calling OpenRouter with model: ${targetModel}`);
+// `pr`: write a pull request title and description from the branch's commits
+// and its diff against the merge base with the base branch
+async function runPullRequestCommand(args) {
+  const git = createGitRunner();
+  const debug = args.debug;
+  if (!args.autoCopy) {
+    // Keep stdout for the title and description
+    consola.options.stdout = process.stderr;
+  }
+  args.stream = false;
 
+  const baseBranch = await resolveBaseBranch(args, git);
+  let mergeBase;
   try {
-    const response = await fetch(
-      "https://openrouter.ai/api/v1/chat/completions",
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-          // "HTTP-Referer": "https://github.com/madebygrant/commit-assist", // Optional: OpenRouter asks for this
-          // "X-Title": "Commit Assist Script", // Optional
-        },
-        body: JSON.stringify({
-          model: targetModel,
-          messages: [
-            {
-              role: "user",
-              content: prompt,
-            },
-          ],
-          temperature: 0.7,
-        }),
-      }
-    );
+    mergeBase = (await git(["merge-base", baseBranch, "HEAD"])).trim();
+  } catch (err) {
+    throw new GitError(`The branch has no common history with ${baseBranch}.`, {
+      cause: err,
+    });
+  }
+  const commits = await getBranchCommits(mergeBase, git);
+  const range = `${mergeBase}..HEAD`;
+  const gitData = await getGitData(git, debug, { ...args, rev: range });
+  if (commits.length === 0 || !gitData.hasStaged) {
+    consola.warn(`No changes on this branch compared to ${baseBranch}.`);
+    process.exit(0);
+  }
+  // The question can't go to stdout when it's being captured
+  args.interactive = Boolean(process.stdin.isTTY && process.stdout.isTTY);
+  await confirmRedactions(gitData.redactions, args);
+  await runPreflight(args);
+  consola.info(
+    `Describing ${
+      commits.length
+    } commit(s) since ${baseBranch} (${mergeBase.slice(0, 7)})...`
+  );
 
-    if (!response.ok) {
-      const errText = await response.text();
-      throw new Error(`OpenRouter API Error: ${response.status} - ${errText}`);
-    }
+  const prArgs = { ...args, rev: range };
+  const [preparedData, branchName, repoRoot] = await Promise.all([
+    prepareDiffForPrompt(gitData, prArgs),
+    getBranchName(git, debug),
+    getRepoRoot(git, debug),
+  ]);
+  const tickets = findPullRequestTickets(branchName, commits, args);
+  const repoTemplate = loadPullRequestTemplate(repoRoot);
+  if (repoTemplate) {
+    consola.info(`Following ${repoTemplate.file}`);
+  }
 
-    const data = await response.json();
+  let promptTemplate;
+  if (args.prTemplate) {
+    promptTemplate = loadPromptTemplate(args.prTemplate);
+    validatePromptTemplate(promptTemplate, PR_PROMPT_PLACEHOLDERS);
+  } else {
+    promptTemplate = loadPromptTemplate(null, "pr-prompt.md");
+  }
+  const [commitList, userContext] = redactPromptTexts(
+    [commits.join("\n"), args.context],
+    args
+  );
+  const prompt = fillTemplate(promptTemplate, {
+    branchName,
+    baseBranch,
+    userContext: userContext || "None provided",
+    tickets: tickets.join(", ") || "None",
+    commits: commitList,
+    changedFiles: preparedData.files.map(formatFileChange).join("\n"),
+    gitDiffSummary: summarizeDiff(preparedData.files, preparedData.rawDiff),
+    gitDiff: preparedData.gitDiff,
+    descriptionFormat: repoTemplate
+      ? `Fill in the repository's pull request template below, keeping its headings and checklists, and removing its HTML comments:\n\n\`\`\`markdown\n${repoTemplate.template}\n\`\`\`\n`
+      : DEFAULT_PR_DESCRIPTION_FORMAT,
+  });
 
-    // Extract message
-    if (data.choices && data.choices.length > 0) {
-      return data.choices[0].message.content;
-    } else {
-      throw new Error("OpenRouter returned no choices.");
-    }
+  let fullResponse;
+  try {
+    fullResponse = await runCancellable((signal) =>
+      requestCompletion(prompt, args, signal)
+    );
   } catch (error) {
-    debugLog(debug, "OpenRouter Fetch Error:", error);
-    throw error;
+    throw new ProviderError(
+      `Could not generate the pull request: ${error.message}`,
+      { cause: error }
+    );
+  }
+  if (fullResponse === null) {
+    consola.warn("Generation cancelled.");
+    process.exit(1);
+  }
+  debugLog(debug, "Pull request response:", fullResponse);
+  const { title, description } = parsePullRequest(fullResponse);
+  if (!title) {
+    throw new ProviderError("The AI returned an empty pull request.");
   }
-}
 
-async function generateCommitMessage(
-  gitData,
-  args,
-  recentCommits,
-  branchName,
-  gitDiffSummary,
-  userContext = "",
-  useConventional = false,
-  promptTemplate = null // New parameter
-) {
-  const debug = args.debug;
-  try {
-    // Prepare all possible values for template replacement
-    const values = {
-      gitStagedChanges: gitData.gitStagedChanges,
-      gitDiff: gitData.gitDiff,
-      userContext,
-      recentCommits: recentCommits || "",
-      branchName: branchName || "",
-      gitDiffSummary: gitDiffSummary || "",
-      ticketID: args.ticketID || "",
-      conventionalText: useConventional
-        ? "Use the Conventional Commits format (type: scope: subject)."
-        : "Do not use Conventional Commit types (e.g., feat:, fix:, docs:).",
-      examples: useConventional
-        ? `
-- feat(auth): add OAuth2 login support for Google accounts
-- fix: correct user ID validation in registration endpoint
-- refactor: extract shared logic into utility functions
-- docs: update README with setup instructions for new contributors
-- style: reformat codebase with Prettier
-- chore: bump dependencies to latest minor versions
-- test: add unit tests for payment processing module
-- perf: optimize image loading for faster page render
-        `
-        : `
-- Add OAuth2 login support for Google accounts
-- Correct user ID validation in registration endpoint
-- Extract shared logic into utility functions
-- Update README with setup instructions for new contributors
-- Reformat codebase with Prettier
-- Upgrade dependencies to latest minor versions
-- Add unit tests for payment processing module
-- Optimize image loading for faster page render
-`,
-    };
-    let prompt;
-    if (promptTemplate) {
-      prompt = fillTemplate(promptTemplate, values);
-    } else if (args.promptTemplate) {
-      // args.promptTemplate is now a file path
-      const customTemplate = loadPromptTemplate(args.promptTemplate);
-      validatePromptTemplate(customTemplate);
-      prompt = fillTemplate(customTemplate, values);
-    } else {
-      const defaultTemplate = loadPromptTemplate();
-      prompt = fillTemplate(defaultTemplate, values);
+  if (args.json) {
+    return writeOutputAndExit(
+      JSON.stringify(
+        {
+          title,
+          description,
+          base: baseBranch,
+          mergeBase,
+          commits: commits.length,
+          tickets,
+          template: repoTemplate ? repoTemplate.file : null,
+          truncated: Boolean(preparedData.truncated),
+          omittedFiles: preparedData.omittedFiles || [],
+        },
+        null,
+        2
+      ),
+      0
+    );
+  }
+  const output = `${title}\n\n${description}`;
+  if (args.autoCopy) {
+    consola.box(output);
+    if (await copyToClipboard(output)) {
+      consola.success("Pull request copied to clipboard!");
     }
-    debugLog(debug, "Prompt sent to AI:\n", prompt);
-
-    let fullResponse = "";
+    process.exit(0);
+  }
+  return writeOutputAndExit(output, 0);
+}
 
-    if (args.provider === "openrouter") {
-      // call OpenRouter
-      consola.start(`Connecting to OpenRouter (${args.model || "default"})...`);
-      fullResponse = await callOpenRouter(
-        prompt,
-        args.model,
-        args.apiKey,
-        debug
-      );
-    } else {
-      // Default: call Ollama (Existing Logic)
-      consola.start(
-        `Connecting to local Ollama (${args.model || "default"})...`
-      );
-      const ollama = new Ollama();
-      const response = await ollama.generate({
-        model: args.model || DEFAULT_OLLAMA_MODEL,
-        prompt: prompt,
-        stream: false, // Turn off streaming for simplicity to match OpenRouter logic, or keep it if you prefer
+// The models command: list the models of each provider, or of the one named,
+// marking the model in use. "models pull <model>" pulls an Ollama model.
+async function runModelsCommand(args) {
+  const [, action, model] = args.positionals;
+  if (action === "pull") {
+    const target =
+      model || (args.provider === "ollama" ? args.model : DEFAULT_OLLAMA_MODEL);
+    consola.start(`Pulling ${target}...`);
+    try {
+      await pullOllamaModel(target);
+    } catch (error) {
+      throw new ProviderError(`Could not pull ${target}: ${error.message}`, {
+        cause: error,
       });
-      fullResponse = response.response;
     }
+    process.exit(0);
+  }
 
-    // Only use the first line of the response, strip quotes/markdown, and trim
-    let aiMessage = fullResponse
-      .trim()
-      .split("\n")[0]
-      .replace(/^['"`]+|['"`]+$/g, "")
-      .replace(/\s+/g, " ");
-    // If the message is too generic or empty, warn the user
-    if (
-      !aiMessage ||
-      aiMessage.toLowerCase().includes("commit message") ||
-      aiMessage.length < 5
-    ) {
+  // Keep stdout for the list itself
+  consola.options.stdout = process.stderr;
+  let names;
+  if (action) {
+    getProvider(action);
+    names = [action];
+  } else {
+    // The openai-compatible provider has nothing to list without a server
+    names = [...providers.keys()].filter(
+      (name) => name !== "openai-compatible" || args.baseUrl
+    );
+  }
+
+  const sections = [];
+  for (const name of names) {
+    const provider = getProvider(name);
+    // The API key given with -k is only meant for the selected provider
+    const providerArgs =
+      name === args.provider ? args : { ...args, apiKey: undefined };
+    consola.info(`Listing ${provider.label || name} models...`);
+    let models;
+    try {
+      models = await provider.listModels(providerArgs);
+    } catch (error) {
+      if (action) {
+        throw new ProviderError(
+          `Could not list ${provider.label || name} models: ${error.message}`,
+          { cause: error }
+        );
+      }
       consola.warn(
-        "⚠️  AI returned a generic or empty message. Consider adding more context or editing manually."
+        `Could not list ${provider.label || name} models: ${error.message}`
       );
-      debugLog(debug, "AI full response:", fullResponse);
+      continue;
     }
-    return aiMessage;
-  } catch (error) {
-    consola.error("Error generating commit message:", error.message);
-    debugLog(debug, "generateCommitMessage error:", error);
-    throw error;
+    const lines = models
+      .sort()
+      .map(
+        (model) =>
+          `${
+            name === args.provider && model === args.model ? "*" : " "
+          } ${model}`
+      );
+    sections.push(
+      `${name} (${models.length}):\n${lines.join("\n") || "  (none)"}`
+    );
   }
-  return aiMessage;
+  return writeOutputAndExit(sections.join("\n\n"), 0);
 }
 
-// Helper function to clean and format a commit message
-function cleanAndFormatMessage(message, args) {
-  // Remove quotes from start and end of commit message
-  let cleanMessage = message
-    .replace(/^["'`]+|["'`]+$/g, "")
-    .trim()
-    .replace(/\s+/g, " ");
+// Helper function to write the output of --print/--json and exit once stdout
+// has been flushed, so piped output is never cut short
+function writeOutputAndExit(output, exitCode) {
+  return new Promise(() => {
+    process.stdout.write(`${output}\n`, () => process.exit(exitCode));
+  });
+}
 
-  // Uncomment this to enforce character limit
-  // if (cleanMessage.length > 90) {
-  //   cleanMessage = cleanMessage.slice(0, 87) + "...";
-  // }
+// --dry-run: build the prompt exactly as it would be sent (by
+// generateCommitMessage(), or generateCandidates() with --candidates) and
+// print it (or write it to --output), with a token estimate for each section
+// and the files left out of the diff. No provider is contacted.
+async function runDryRun(promptInputs, args) {
+  const [gitData] = promptInputs;
+  const promptTemplate = promptInputs[7];
+  // Subject-only --candidates are asked for as one list (see generateCandidates)
+  const prompt = buildPrompt(
+    ...promptInputs,
+    args.body ? 1 : args.candidates || 1
+  );
+  const values = getPromptValues(...promptInputs);
 
-  // Apply custom conventional type if provided
-  if (args.conventionalType !== undefined) {
-    cleanMessage = applyCustomConventionalType(
-      cleanMessage,
-      args.conventionalType
+  const total = estimateTokens(prompt);
+  const sections = DRY_RUN_SECTIONS.filter(([key]) =>
+    promptTemplate.includes(`{${key}}`)
+  ).map(([key, label]) => [label, estimateTokens(values[key])]);
+  const counted = sections.reduce((sum, [, tokens]) => sum + tokens, 0);
+  sections.push(["Instructions", Math.max(total - counted, 0)]);
+  const percent = Math.round((total / args.contextWindow) * 100);
+  consola.info(
+    `Prompt: ~${total} tokens of the ${
+      args.contextWindow
+    }-token context window (${percent}%)\n${sections
+      .map(([label, tokens]) => `  ${label.padEnd(16)} ~${tokens}`)
+      .join("\n")}`
+  );
+  if (total > args.contextWindow - PROMPT_RESERVE_TOKENS) {
+    consola.warn(
+      `That leaves less than ${PROMPT_RESERVE_TOKENS} tokens for the answer. Lower --max-diff-chars${
+        args.mapReduce ? "" : ", or use --map-reduce"
+      }.`
     );
   }
 
-  if (args.ticketID && !args.noAppendTicket) {
-    cleanMessage = formatCommitMessage(cleanMessage, args.ticketID);
+  if (gitData.excludedFiles?.length) {
+    consola.info(
+      `Left out of the diff:\n${gitData.excludedFiles
+        .map(({ file, reason }) => `  - ${file} (${reason})`)
+        .join("\n")}`
+    );
   }
-
-  // Add ticket number if provided
-  if (args.ticketID) {
-    cleanMessage = formatCommitMessage(cleanMessage, args.ticketID);
+  if (gitData.redactions?.secrets.length) {
+    reportRedactions({ files: [], secrets: gitData.redactions.secrets });
+  }
+  if (gitData.truncated) {
+    const lines = [
+      ...gitData.condensedFiles.map(
+        ({ file, chars, keptChars }) =>
+          `  - ${file}: condensed from ${chars} to ${keptChars} characters`
+      ),
+      ...gitData.omittedFiles.map((file) => `  - ${file}: omitted`),
+    ];
+    consola.info(
+      `Diff condensed from ${gitData.rawDiff.length} to ${
+        gitData.gitDiff.length
+      } characters (--max-diff-chars ${args.maxDiffChars}):\n${lines.join(
+        "\n"
+      )}`
+    );
+  }
+  if (args.mapReduce && gitData.exceedsContextWindow) {
+    consola.info(
+      `With --map-reduce, each of the ${gitData.fileDiffs.length} files would be summarised by the model first. The prompt shown uses the condensed diff instead.`
+    );
   }
 
-  return cleanMessage;
+  if (args.output) {
+    fs.writeFileSync(args.output, prompt);
+    consola.success(`Wrote the prompt to ${args.output}.`);
+    process.exit(0);
+  }
+  return writeOutputAndExit(prompt, 0);
 }
 
-// Helper function to refine commit message interactively
-async function refineCommitMessage(initialMessage, args) {
-  const cleanCommitMessage = cleanAndFormatMessage(initialMessage, args);
-  consola.success("Regenerated Commit Message:");
-  consola.box(cleanCommitMessage);
-  return cleanCommitMessage;
+// Non-interactive mode for scripts and CI: generate one message and print it,
+// or a JSON object describing it, to stdout. Logs go to stderr.
+async function runPrintMode(promptInputs, args, timings) {
+  const generationStart = Date.now();
+  const result = await runCancellable((signal) =>
+    generateResult(promptInputs, args, signal)
+  );
+  if (result === null) {
+    consola.warn("Generation cancelled.");
+    process.exit(1);
+  }
+  reportViolations(result.message, args, usesConventionalFormat(args));
+  recordHistory(args, promptInputs[0], "generated", result.message);
+  const exitCode = result.violations.length > 0 ? EXIT_VALIDATION_FAILURE : 0;
+  timings.generationMs = Date.now() - generationStart;
+  timings.totalMs = timings.gitMs + timings.generationMs;
+
+  if (!args.json) {
+    return writeOutputAndExit(result.message, exitCode);
+  }
+  return writeOutputAndExit(
+    JSON.stringify({ ...result, timings }, null, 2),
+    exitCode
+  );
 }
 
 // Main execution
 async function main() {
   try {
-    const args = parseArgs();
+    const git = createGitRunner();
+    const args = await resolveConfig(parseArgs(), git);
     const debug = args.debug;
 
-    const useConventional =
-      args.useAiConventional !== undefined
-        ? args.useAiConventional
-        : args.conventionalType ?? false;
+    if (args.positionals[0] === "config") {
+      if (args.positionals[1] !== "show") {
+        consola.error(
+          `Unknown config command: ${
+            args.positionals[1] || "(none)"
+          }. Use show.`
+        );
+        process.exit(1);
+      }
+      showConfig(args);
+      process.exit(0);
+    }
 
-    consola.info("Checking staged changes...");
-    const gitData = await getGitData(debug);
+    if (args.positionals[0] === "hook") {
+      await runHookCommand(args);
+      process.exit(0);
+    }
 
-    if (!gitData.hasStaged) {
-      consola.warn(
-        "No staged changes found. Stage files with 'git add' first."
-      );
+    if (args.positionals[0] === "split") {
+      await runSplitCommand(args);
+    }
+
+    if (args.positionals[0] === "changelog") {
+      await runChangelogCommand(args);
+    }
+
+    if (args.positionals[0] === "pr") {
+      await runPullRequestCommand(args);
+    }
+
+    if (args.positionals[0] === "history") {
+      await runHistoryCommand(args);
+    }
+
+    if (args.positionals[0] === "models") {
+      await runModelsCommand(args);
+    }
+
+    if (args.positionals[0] === "rebase-todo") {
+      editRebaseTodo(args.positionals[1]);
       process.exit(0);
     }
 
+    if (args.rev || args.range) {
+      await runRewordCommand(args);
+    }
+
+    const useConventional = usesConventionalFormat(args);
+
+    // Without a terminal to prompt on, --commit commits straight away as -c
+    // would, so a script using it never gets a silent no-op
+    if (
+      !process.stdin.isTTY &&
+      args.commit &&
+      !(args.print || args.json || args.dryRun)
+    ) {
+      args.autoCopy = true;
+    }
+
+    // Without a terminal to prompt on, print the message instead (unless -c
+    // asked to accept it), keeping stdout for the message and logs on stderr
+    const printMode =
+      args.print ||
+      args.json ||
+      args.dryRun ||
+      (!process.stdin.isTTY && !args.autoCopy);
+    if (printMode) {
+      consola.options.stdout = process.stderr;
+      args.stream = false;
+    }
+    args.interactive = !printMode && Boolean(process.stdin.isTTY);
+    const startTime = Date.now();
+
+    consola.info("Checking staged changes...");
+    let gitData;
+    try {
+      gitData = await loadStagedChanges(args, git);
+    } catch (error) {
+      if (!(error instanceof NoStagedChangesError)) {
+        throw error;
+      }
+      consola.warn(error.message);
+      process.exit(printMode ? error.exitCode : 0);
+    }
+
     let userContext = args.context;
-    if (userContext === undefined) {
+    if (userContext === undefined && (printMode || !process.stdin.isTTY)) {
+      userContext = "";
+    } else if (userContext === undefined) {
       userContext = await getUserInput(
         "Enter any additional context (optional): "
       );
     }
 
-    const [recentCommits, branchName] = await Promise.all([
-      getRecentCommits(debug),
-      getBranchName(debug),
-    ]);
-    const gitDiffSummary = summarizeDiff(gitData.gitDiff);
-
-    let promptTemplate;
-    if (args.promptTemplate) {
-      promptTemplate = loadPromptTemplate(args.promptTemplate);
-      validatePromptTemplate(promptTemplate);
-    } else {
-      promptTemplate = loadPromptTemplate();
+    const promptInputs = await getPromptInputs(gitData, args, git, userContext);
+    if (args.dryRun) {
+      return runDryRun(promptInputs, args);
     }
+    // Looked up before the provider check and any summarising, so a rerun on
+    // the same changes doesn't touch the model
+    const cacheKey = getResponseCacheKey(promptInputs, args);
+    const prepare = createPromptPreparer(promptInputs, args);
+    const generateCandidateSet = (count, avoid = []) =>
+      runCancellable(async (signal) =>
+        generateCandidates(...(await prepare(signal)), count, {
+          signal,
+          avoid,
+        })
+      );
+
+    // Generate a message, or the --candidates set, and cache it the way
+    // generateResult() does, so a rerun on the same changes reuses it.
+    // Resolves with null if cancelled with Ctrl-C. The model is told not to
+    // repeat the messages in `avoid`.
+    const generateAndCache = async (avoid = []) => {
+      const generated =
+        args.candidates > 1
+          ? await generateCandidateSet(args.candidates, avoid)
+          : await runCancellable(async (signal) => [
+              await generateCommitMessage(...(await prepare(signal)), {
+                signal,
+                avoid,
+              }),
+            ]);
+      if (generated?.[0]) {
+        writeResponseCache(args, cacheKey, generated);
+      }
+      return generated;
+    };
+
+    // Choose the message to work with from a generated set: the user picks
+    // one from a menu when there are several candidates
+    const chooseMessage = async (messages) => {
+      if (messages === null || messages.length === 0) {
+        return messages === null ? null : "";
+      }
+      if (args.autoCopy || messages.length === 1) {
+        return messages[0];
+      }
+      return pickCandidate(messages, args, generateCandidateSet);
+    };
+
+    // Conversation with the model for (f)eedback turns and rule fixes,
+    // restarted whenever a new message is generated. The original prompt
+    // opens it once one of them needs the model.
+    let conversation = [];
+    const startConversation = (message) => {
+      conversation = [{ role: "assistant", content: message }];
+    };
+    const openConversation = async (signal) => {
+      if (conversation[0].role !== "user") {
+        conversation.unshift({
+          role: "user",
+          content: buildPrompt(...(await prepare(signal))),
+        });
+      }
+    };
+
+    // Fix any rule violations in a message, keeping it as it is if cancelled
+    // with Ctrl-C
+    const fixViolations = async (message) =>
+      (await runCancellable((signal) =>
+        enforceCommitRules(message, conversation, args, useConventional, {
+          signal,
+          beforeFix: openConversation,
+        })
+      )) ?? message;
+
+    // Start a conversation for a freshly generated message and fix any rule violations
+    const prepareGenerated = async (message) => {
+      if (!message) {
+        return message;
+      }
+      startConversation(message);
+      return fixViolations(message);
+    };
 
     consola.start("Generating commit message...");
 
-    // Initial Generation
-    let currentCommitMessage = await generateCommitMessage(
-      gitData,
-      args,
-      recentCommits,
-      branchName,
-      gitDiffSummary,
-      userContext,
-      useConventional,
-      promptTemplate
+    if (printMode) {
+      await runPrintMode(promptInputs, args, {
+        gitMs: Date.now() - startTime,
+      });
+    }
+
+    // Initial Generation, from the cache when these changes were seen before
+    let currentCommitMessage = await prepareGenerated(
+      await chooseMessage(
+        getCachedMessages(args, cacheKey) || (await generateAndCache())
+      )
     );
 
     // Main Interactive Loop
+    let formattedMessage = null;
     while (true) {
-      if (!currentCommitMessage) {
-        consola.error("Failed to generate message.");
-        process.exit(1);
-      }
+      if (formattedMessage === null) {
+        if (currentCommitMessage === null) {
+          // Initial generation was cancelled, there's no message to act on yet
+          consola.warn("Generation cancelled.");
+          const retry = await getUserInput("Action? (r)egenerate, (q)uit: ");
+          if (retry.trim().toLowerCase() !== "r") {
+            consola.info("Cancelled.");
+            process.exit(0);
+          }
+          consola.start("Regenerating...");
+          currentCommitMessage = await prepareGenerated(
+            await chooseMessage(await generateAndCache())
+          );
+          continue;
+        }
+        if (!currentCommitMessage) {
+          consola.error("Failed to generate message.");
+          process.exit(1);
+        }
 
-      // 1. Format the message
-      const formattedMessage = cleanAndFormatMessage(
-        currentCommitMessage,
-        args
-      );
+        // 1. Format the message
+        formattedMessage = cleanAndFormatMessage(currentCommitMessage, args);
+      }
 
       // 2. Display
       consola.success("Generated Commit Message:");
       consola.box(formattedMessage);
+      reportViolations(formattedMessage, args, useConventional);
 
-      // 3. Auto-copy check
+      // 3. Auto-accept check
       if (args.autoCopy) {
-        const copySuccess = await copyToClipboard(formattedMessage);
-        copySuccess
-          ? consola.success("Copied to clipboard!")
-          : consola.error("Copy failed.");
-        process.exit(0);
+        const accepted = await acceptMessage(formattedMessage, args);
+        if (accepted) {
+          recordHistory(args, gitData, "accepted", formattedMessage);
+        }
+        process.exit(accepted ? 0 : 1);
       }
 
       // 4. Interactive prompt
       const action = await getUserInput(
-        "Action? [Enter] to Accept, (r)egenerate, (q)uit: "
+        args.commit
+          ? "Action? [Enter] to Commit, (e)dit then commit, (i)nline edit, (f)eedback, (r)egenerate, (c)opy, (q)uit: "
+          : "Action? [Enter] to Accept, (e)dit then commit, (i)nline edit, (f)eedback, (r)egenerate, (q)uit: "
       );
       const choice = action.trim().toLowerCase();
 
       if (choice === "r") {
+        // Don't offer this message again, from the cache or the model
+        recordHistory(args, gitData, "rejected", formattedMessage);
+        writeResponseCache(args, cacheKey, null);
         consola.start("Regenerating...");
-        currentCommitMessage = await generateCommitMessage(
-          gitData,
-          args,
-          recentCommits,
-          branchName,
-          gitDiffSummary,
-          userContext,
-          useConventional,
-          promptTemplate
+        const regenerated = await chooseMessage(
+          await generateAndCache(getRejectedMessages(args, gitData))
         );
+        if (regenerated === null) {
+          // Cancelled, go back to the previous message
+          consola.warn("Regeneration cancelled.");
+          continue;
+        }
+        currentCommitMessage = await prepareGenerated(regenerated);
+        formattedMessage = null;
         // Loop continues, creating a new formatted message next iteration
-      } else if (choice === "q") {
-        consola.info("Cancelled.");
-        process.exit(0);
-      } else {
-        // Accept (default)
+      } else if (choice === "f") {
+        const feedback = (
+          await getUserInput(
+            'Feedback (e.g. "mention the retry logic, shorter"): '
+          )
+        ).trim();
+        if (!feedback) {
+          continue;
+        }
+        consola.start("Refining...");
+        let refined;
+        try {
+          refined = await runCancellable(async (signal) => {
+            await openConversation(signal);
+            return refineCommitMessage(conversation, feedback, args, signal);
+          });
+        } catch (error) {
+          consola.error("Error refining commit message:", error.message);
+          continue;
+        }
+        if (refined === null) {
+          consola.warn("Refinement cancelled.");
+          continue;
+        }
+        currentCommitMessage = await fixViolations(refined);
+        formattedMessage = null;
+      } else if (choice === "i") {
+        formattedMessage = await editInline(formattedMessage);
+        // Feedback after an edit should build on the edited text
+        conversation[conversation.length - 1].content = formattedMessage;
+      } else if (choice === "e") {
+        const editedMessage = await editInEditor(formattedMessage, debug);
+        if (!editedMessage) {
+          consola.warn("Empty commit message, commit aborted.");
+          continue;
+        }
+        formattedMessage = editedMessage;
+        if (await commitWithMessage(formattedMessage, args)) {
+          recordHistory(args, gitData, "accepted", formattedMessage);
+          process.exit(0);
+        }
+        // Commit was rejected, show the edited message again so it can be retried
+      } else if (choice === "c" && args.commit) {
         const copySuccess = await copyToClipboard(formattedMessage);
         copySuccess
           ? consola.success("Copied to clipboard!")
           : consola.error("Copy failed.");
+        if (copySuccess) {
+          recordHistory(args, gitData, "accepted", formattedMessage);
+        }
+        process.exit(copySuccess ? 0 : 1);
+      } else if (choice === "q") {
+        recordHistory(args, gitData, "generated", formattedMessage);
+        consola.info("Cancelled.");
         process.exit(0);
+      } else {
+        // Accept (default)
+        const accepted = await acceptMessage(formattedMessage, args);
+        if (accepted) {
+          recordHistory(args, gitData, "accepted", formattedMessage);
+        }
+        if (accepted || !args.commit) {
+          process.exit(accepted ? 0 : 1);
+        }
+        // Commit was rejected, loop back so the message can be edited or retried
       }
     }
   } catch (error) {
+    if (error instanceof CommitAssistError) {
+      consola.error(error.message);
+      process.exit(error.exitCode);
+    }
     consola.error("Error:", error.message);
     process.exit(1);
   }
 }
 
-// Execute the main function
-main();
+module.exports = {
+  generate,
+  createGitRunner,
+  registerProvider,
+  CommitAssistError,
+  ConfigError,
+  TemplateError,
+  GitError,
+  NoStagedChangesError,
+  ProviderError,
+  SensitiveContentError,
+  CancelledError,
+};
+
+// Run the CLI when executed directly, not when required as a library
+if (require.main === module) {
+  main();
+} else {
+  // Don't write to the host application's terminal unless asked to
+  configureLogging({ quiet: true });
+}
@@ -0,0 +1,82 @@
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+// Create a throwaway repository with one staged file
+function createRepo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-assist-test-"));
+  const git = (...args) => execFileSync("git", args, { cwd: dir });
+  git("init", "-q", "-b", "main");
+  git("config", "user.email", "test@example.com");
+  git("config", "user.name", "Test");
+  fs.writeFileSync(path.join(dir, "greeting.js"), "module.exports = 'hi';\n");
+  git("add", "greeting.js");
+  return {
+    dir,
+    remove: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+// Start an HTTP server on a free port. `handler(req, res, body)` answers each
+// request; every request is recorded in `requests`.
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null,
+      };
+      requests.push(request);
+      handler(req, res, request);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Answer a chat completions request, streamed as SSE when it asks for it
+function sendCompletion(res, request, content) {
+  if (request.body.stream) {
+    res.setHeader("Content-Type", "text/event-stream");
+    res.write(": PROCESSING\n\n");
+    for (const token of content.split(/(?= )/)) {
+      res.write(
+        `data: ${JSON.stringify({
+          choices: [{ delta: { content: token } }],
+        })}\n\n`
+      );
+    }
+    res.end("data: [DONE]\n\n");
+    return;
+  }
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify({ choices: [{ message: { content } }] }));
+}
+
+// Options for generate() pointing the openai-compatible provider at `url`
+function providerOptions(url, overrides = {}) {
+  return {
+    provider: "openai-compatible",
+    baseUrl: `${url}/v1`,
+    model: "test-model",
+    readConfig: false,
+    cache: false,
+    ...overrides,
+  };
+}
+
+module.exports = { createRepo, startServer, sendCompletion, providerOptions };
@@ -0,0 +1,270 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, test } = require("node:test");
+const {
+  generate,
+  CancelledError,
+  NoStagedChangesError,
+  ProviderError,
+} = require("..");
+
+const DIFF = `diff --git a/src/greeting.js b/src/greeting.js
+index 1111111..2222222 100644
+--- a/src/greeting.js
++++ b/src/greeting.js
+@@ -1 +1 @@
+-module.exports = "hi";
++module.exports = "hello";
+`;
+
+let gitDir;
+before(() => {
+  gitDir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-assist-test-"));
+});
+after(() => fs.rmSync(gitDir, { recursive: true, force: true }));
+
+// A git runner answering for a repository on branch feature/PROJ-42-greeting
+// with `diff` staged
+function fakeGit(diff = DIFF) {
+  const staged = diff ? ["src/greeting.js"] : [];
+  return async (args) => {
+    const [command, option] = args;
+    if (command === "rev-parse" && option === "--show-toplevel") {
+      return "/nonexistent-repo\n";
+    }
+    if (command === "rev-parse" && option === "--absolute-git-dir") {
+      return `${gitDir}\n`;
+    }
+    if (command === "rev-parse" && option === "--abbrev-ref") {
+      return "feature/PROJ-42-greeting\n";
+    }
+    if (command === "rev-parse") {
+      return "true\n";
+    }
+    if (args.includes("--name-only")) {
+      return staged.map((file) => `${file}\n`).join("");
+    }
+    if (args.includes("--name-status")) {
+      return staged.map((file) => `M\0${file}\0`).join("");
+    }
+    if (args.includes("--numstat")) {
+      return staged.map((file) => `1\t1\t${file}\0`).join("");
+    }
+    if (command === "log") {
+      return "";
+    }
+    if (command === "diff") {
+      return diff;
+    }
+    throw new Error(`Unexpected git command: git ${args.join(" ")}`);
+  };
+}
+
+// A provider answering with `reply`, recording the prompts it's sent
+function fakeProvider(reply) {
+  const prompts = [];
+  return {
+    prompts,
+    label: "fake",
+    isRemote: () => false,
+    async generate(prompt) {
+      prompts.push(prompt);
+      return typeof reply === "function" ? reply(prompt) : reply;
+    },
+  };
+}
+
+const baseOptions = { readConfig: false, cache: false };
+
+test("generates a message from the staged diff", async () => {
+  const provider = fakeProvider("Update the greeting");
+  const result = await generate({ ...baseOptions, git: fakeGit(), provider });
+
+  assert.equal(result.provider, "fake");
+  assert.equal(result.ticket, "PROJ-42");
+  assert.match(result.subject, /Update the greeting/);
+  assert.match(result.message, /PROJ-42/);
+  assert.deepEqual(result.violations, []);
+  assert.equal(provider.prompts.length, 1);
+  assert.match(provider.prompts[0], /\+module\.exports = "hello";/);
+});
+
+test("passes the context to the model", async () => {
+  const provider = fakeProvider("Update the greeting");
+  await generate({
+    ...baseOptions,
+    git: fakeGit(),
+    provider,
+    context: "friendlier greeting",
+  });
+  assert.match(provider.prompts[0], /friendlier greeting/);
+});
+
+test("adds the workspace scope to conventional messages", async () => {
+  const result = await generate({
+    ...baseOptions,
+    git: fakeGit(),
+    provider: fakeProvider("fix: align the greeting"),
+    conventional: true,
+    scopeMap: { src: "web" },
+  });
+  assert.match(result.subject, /^fix\(web\): align the greeting/);
+});
+
+test("leaves the workspace scope out of other messages", async () => {
+  const result = await generate({
+    ...baseOptions,
+    git: fakeGit(),
+    provider: fakeProvider("ui: fix button alignment"),
+    scopeMap: { src: "web" },
+  });
+  assert.match(result.subject, /^ui: fix button alignment/);
+});
+
+test("throws NoStagedChangesError when nothing is staged", async () => {
+  await assert.rejects(
+    generate({ ...baseOptions, git: fakeGit(""), provider: fakeProvider("") }),
+    NoStagedChangesError
+  );
+});
+
+test("wraps provider failures in ProviderError", async () => {
+  const provider = fakeProvider(() => {
+    throw new Error("boom");
+  });
+  await assert.rejects(
+    generate({ ...baseOptions, git: fakeGit(), provider, retries: 0 }),
+    (error) => error instanceof ProviderError && /boom/.test(error.message)
+  );
+});
+
+test("checks a fallback provider before using it", async () => {
+  const provider = fakeProvider(() => {
+    throw new Error("boom");
+  });
+  await assert.rejects(
+    generate({
+      ...baseOptions,
+      git: fakeGit(),
+      provider,
+      retries: 0,
+      fallback: ["ollama:not-a-real-model"],
+    }),
+    (error) =>
+      error instanceof ProviderError &&
+      /Ollama isn't running|isn't pulled/.test(error.message)
+  );
+});
+
+test("throws CancelledError when the signal aborts", async () => {
+  const controller = new AbortController();
+  const provider = {
+    label: "fake",
+    isRemote: () => false,
+    generate: (prompt, args, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(signal.reason));
+        controller.abort();
+      }),
+  };
+  await assert.rejects(
+    generate({
+      ...baseOptions,
+      git: fakeGit(),
+      provider,
+      signal: controller.signal,
+    }),
+    CancelledError
+  );
+});
+
+test("stops fixing rule violations when the signal aborts", async () => {
+  const controller = new AbortController();
+  let calls = 0;
+  const provider = {
+    label: "fake",
+    isRemote: () => false,
+    generate: (prompt, args, { signal }) => {
+      calls++;
+      if (calls === 1) {
+        setTimeout(() => controller.abort(), 5);
+        return Promise.resolve("Update the greeting");
+      }
+      return new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(signal.reason));
+      });
+    },
+  };
+  const output = await captureOutput(() =>
+    assert.rejects(
+      generate({
+        ...baseOptions,
+        git: fakeGit(),
+        provider,
+        rules: { subjectMaxLength: 10 },
+        signal: controller.signal,
+      }),
+      CancelledError
+    )
+  );
+  assert.equal(calls, 2);
+  assert.equal(output, "");
+  assert.equal(process.listenerCount("SIGINT"), 0);
+});
+
+// Run `task` and collect the text it writes to stdout and stderr. The test
+// runner's own reports (buffers) still go through.
+async function captureOutput(task) {
+  const output = [];
+  const writes = [process.stdout.write, process.stderr.write];
+  const capture = (write) =>
+    function (chunk, ...rest) {
+      if (typeof chunk !== "string") {
+        return write.call(this, chunk, ...rest);
+      }
+      output.push(chunk);
+      return true;
+    };
+  process.stdout.write = capture(writes[0]);
+  process.stderr.write = capture(writes[1]);
+  try {
+    await task();
+  } finally {
+    [process.stdout.write, process.stderr.write] = writes;
+  }
+  return output.join("");
+}
+
+test("logs nothing by default", async () => {
+  const output = await captureOutput(() =>
+    generate({
+      ...baseOptions,
+      git: fakeGit(),
+      provider: fakeProvider("Update the greeting"),
+    })
+  );
+  assert.equal(output, "");
+});
+
+test("sends the logs to the given logger", async () => {
+  const logs = [];
+  const logger = {};
+  for (const method of ["info", "warn", "error", "debug"]) {
+    logger[method] = (message) => logs.push([method, message]);
+  }
+  const output = await captureOutput(() =>
+    generate({
+      ...baseOptions,
+      git: fakeGit(),
+      provider: fakeProvider("Update the greeting"),
+      logger,
+    })
+  );
+  assert.equal(output, "");
+  assert.ok(
+    logs.some(([method, message]) => method === "info" && /fake/.test(message)),
+    JSON.stringify(logs)
+  );
+});
@@ -0,0 +1,120 @@
+const assert = require("node:assert/strict");
+const { execFile } = require("node:child_process");
+const path = require("node:path");
+const { after, before, test } = require("node:test");
+const { promisify } = require("node:util");
+const { generate, ProviderError } = require("..");
+const {
+  createRepo,
+  startServer,
+  sendCompletion,
+  providerOptions,
+} = require("./helpers");
+
+const MESSAGE = "Add greeting module";
+const SCRIPT = path.join(__dirname, "..", "commit-assist.js");
+
+let repo;
+let server;
+before(async () => {
+  repo = createRepo();
+  server = await startServer((req, res, request) => {
+    if (request.url === "/v1/models") {
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ data: [{ id: "model-b" }, { id: "model-a" }] }));
+    } else if (request.body?.messages?.[0].content.includes("FAIL")) {
+      res.setHeader("Content-Type", "text/event-stream");
+      res.end(
+        `data: ${JSON.stringify({ error: { message: "overloaded" } })}\n\n`
+      );
+    } else {
+      sendCompletion(res, request, MESSAGE);
+    }
+  });
+});
+after(async () => {
+  await server.close();
+  repo.remove();
+});
+
+// The requests the server received during `run()`
+async function requestsDuring(run) {
+  const start = server.requests.length;
+  const result = await run();
+  return { result, requests: server.requests.slice(start) };
+}
+
+test("streams the answer over server-sent events", async () => {
+  const tokens = [];
+  const { result, requests } = await requestsDuring(() =>
+    generate({
+      cwd: repo.dir,
+      ...providerOptions(server.url),
+      onToken: (token) => tokens.push(token),
+    })
+  );
+  assert.equal(result.message, MESSAGE);
+  assert.equal(tokens.join(""), MESSAGE);
+  assert.equal(tokens.length, MESSAGE.split(" ").length);
+  assert.equal(requests[0].url, "/v1/chat/completions");
+  assert.equal(requests[0].body.stream, true);
+  assert.equal(requests[0].body.model, "test-model");
+});
+
+test("reads a non-streamed answer", async () => {
+  const { result, requests } = await requestsDuring(() =>
+    generate({ cwd: repo.dir, ...providerOptions(server.url) })
+  );
+  assert.equal(result.message, MESSAGE);
+  assert.equal(requests[0].body.stream, false);
+});
+
+test("sends the API key from apiKeyEnv and the extra headers", async () => {
+  process.env.COMMIT_ASSIST_TEST_KEY = "secret";
+  try {
+    const { requests } = await requestsDuring(() =>
+      generate({
+        cwd: repo.dir,
+        ...providerOptions(server.url),
+        apiKeyEnv: "COMMIT_ASSIST_TEST_KEY",
+        headers: { "X-Team": "core" },
+      })
+    );
+    assert.equal(requests[0].headers.authorization, "Bearer secret");
+    assert.equal(requests[0].headers["x-team"], "core");
+  } finally {
+    delete process.env.COMMIT_ASSIST_TEST_KEY;
+  }
+});
+
+test("surfaces an error sent in the stream", async () => {
+  const error = await generate({
+    cwd: repo.dir,
+    ...providerOptions(server.url),
+    context: "FAIL",
+    onToken: () => {},
+  }).catch((error) => error);
+  assert.ok(error instanceof ProviderError);
+  assert.match(error.message, /overloaded/);
+});
+
+test("lists the server's models", async () => {
+  const { result, requests } = await requestsDuring(() =>
+    promisify(execFile)(
+      process.execPath,
+      [
+        SCRIPT,
+        "models",
+        "openai-compatible",
+        "--base-url",
+        `${server.url}/v1`,
+        "--header",
+        "X-Team: core",
+      ],
+      { cwd: repo.dir, env: { ...process.env, HOME: repo.dir } }
+    )
+  );
+  assert.equal(result.stdout, "openai-compatible (2):\n  model-a\n  model-b\n");
+  assert.equal(requests[0].url, "/v1/models");
+  assert.equal(requests[0].headers["x-team"], "core");
+});
@@ -0,0 +1,120 @@
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+const { generate, ProviderError } = require("..");
+const {
+  createRepo,
+  startServer,
+  sendCompletion,
+  providerOptions,
+} = require("./helpers");
+
+const MESSAGE = "Add greeting module";
+
+let repo;
+before(() => {
+  repo = createRepo();
+});
+after(() => repo.remove());
+
+// Run generate() against a server that answers each request in turn with
+// `responses[i](res, request)`, repeating the last one
+async function generateWith(responses, overrides) {
+  let count = 0;
+  const server = await startServer((req, res, request) => {
+    const respond = responses[Math.min(count++, responses.length - 1)];
+    respond(res, request);
+  });
+  try {
+    const started = Date.now();
+    const result = await generate({
+      cwd: repo.dir,
+      ...providerOptions(server.url, overrides),
+    }).catch((error) => error);
+    return { result, requests: server.requests, elapsed: Date.now() - started };
+  } finally {
+    await server.close();
+  }
+}
+
+function fail(status, headers = {}) {
+  return (res) => {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify({ error: { message: `status ${status}` } }));
+  };
+}
+
+const succeed = (res, request) => sendCompletion(res, request, MESSAGE);
+
+test("waits for Retry-After given in seconds after a 429", async () => {
+  const { result, requests, elapsed } = await generateWith([
+    fail(429, { "Retry-After": "1" }),
+    succeed,
+  ]);
+  assert.equal(result.message, MESSAGE);
+  assert.equal(requests.length, 2);
+  assert.ok(elapsed >= 1000, `retried after ${elapsed}ms`);
+});
+
+test("waits for Retry-After given as an HTTP date after a 429", async () => {
+  const retryAt = new Date(Date.now() + 2000).toUTCString();
+  const { result, requests, elapsed } = await generateWith([
+    fail(429, { "Retry-After": retryAt }),
+    succeed,
+  ]);
+  assert.equal(result.message, MESSAGE);
+  assert.equal(requests.length, 2);
+  // HTTP dates only have whole seconds
+  assert.ok(elapsed >= 900, `retried after ${elapsed}ms`);
+});
+
+test("gives up at once when Retry-After is too long", async () => {
+  const { result, requests } = await generateWith([
+    fail(429, { "Retry-After": "3600" }),
+  ]);
+  assert.ok(result instanceof ProviderError);
+  assert.match(result.message, /try again in 3600s/);
+  assert.equal(requests.length, 1);
+});
+
+test("retries a server error and then succeeds", async () => {
+  const { result, requests } = await generateWith([fail(503), succeed]);
+  assert.equal(result.message, MESSAGE);
+  assert.equal(requests.length, 2);
+});
+
+for (const status of [401, 404]) {
+  test(`fails at once on a ${status}`, async () => {
+    const { result, requests } = await generateWith([fail(status)]);
+    assert.ok(result instanceof ProviderError);
+    assert.match(result.message, new RegExp(`\\b${status}\\b`));
+    assert.equal(requests.length, 1);
+  });
+}
+
+test("gives up after --retries attempts", async () => {
+  const { result, requests } = await generateWith([fail(500)], {
+    retries: 1,
+  });
+  assert.ok(result instanceof ProviderError);
+  assert.match(result.message, /gave up after 2 attempts/);
+  assert.equal(requests.length, 2);
+});
+
+test("times out a request that doesn't answer", async () => {
+  const { result, requests } = await generateWith(
+    [() => {}], // Never answer
+    { timeout: 1, retries: 0 }
+  );
+  assert.ok(result instanceof ProviderError);
+  assert.match(result.message, /didn't answer within 1s/);
+  assert.equal(requests.length, 1);
+});
+
+test("retries a timed out request", async () => {
+  const { result, requests } = await generateWith([() => {}, succeed], {
+    timeout: 1,
+    retries: 1,
+  });
+  assert.equal(result.message, MESSAGE);
+  assert.equal(requests.length, 2);
+});